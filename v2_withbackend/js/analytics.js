@@ -1,15 +1,374 @@
 // Analytics page interactivity: build KPIs, bars, and donut from tasks
 (function(){
+  // Only the fields the charts read, a page at a time
+  const TASK_FIELDS = 'title,status,priority,assignee,labels,deadline,createdAt,assignedAt,assignedAtIST,completedAt,archivedAt'
+
   async function fetchTasks(){
     try{
       const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
       const token = localStorage.getItem('token') || ''
-      const res = await fetch(`${base}/api/tasks`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      const tasks = []
+      let cursor = null
+      do{
+        // Archived tasks are part of the history the charts are built from
+        const params = new URLSearchParams({ archived:'include', fields:TASK_FIELDS, limit:'200' })
+        if(cursor) params.set('cursor', cursor)
+        const res = await fetch(`${base}/api/tasks?${params}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+        if(!res.ok) throw new Error('fail')
+        tasks.push(...await res.json())
+        cursor = res.headers.get('X-Next-Cursor')
+      }while(cursor)
+      return tasks
+    }catch(e){
+      return (window.app && window.app.data && window.app.data.tasks) ? window.app.data.tasks : []
+    }
+  }
+
+  // Workflow columns of the active workspace; `done` columns count as completed
+  async function fetchBoard(){
+    try{
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
+      const token = localStorage.getItem('token') || ''
+      const res = await fetch(`${base}/api/board`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
       if(!res.ok) throw new Error('fail')
       return await res.json()
     }catch(e){
-      return (window.app && window.app.data && window.app.data.tasks) ? window.app.data.tasks : []
+      return { columns: (window.app && window.app._boardColumns) ? window.app._boardColumns() : [] }
+    }
+  }
+
+  async function fetchLabels(){
+    try{
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
+      const token = localStorage.getItem('token') || ''
+      const res = await fetch(`${base}/api/labels`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      if(!res.ok) throw new Error('fail')
+      return await res.json()
+    }catch(e){
+      return (window.app && window.app.data && window.app.data.labels) ? window.app.data.labels : []
+    }
+  }
+
+  async function fetchTimeEntries(){
+    try{
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
+      const token = localStorage.getItem('token') || ''
+      const res = await fetch(`${base}/api/time`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      if(!res.ok) throw new Error('fail')
+      return await res.json()
+    }catch(e){
+      return []
+    }
+  }
+
+  // Monday of the entry's week, local time
+  function weekStart(ms){
+    const d = new Date(ms)
+    d.setHours(0,0,0,0)
+    d.setDate(d.getDate() - ((d.getDay()+6)%7))
+    return d.getTime()
+  }
+
+  // Hours per task assignee, or per week for the last 8 weeks
+  function groupHours(entries,mode){
+    if(mode==='week'){
+      const current = weekStart(Date.now())
+      const weeks = Array.from({length:8},(_,i)=>{ const d = new Date(current); d.setDate(d.getDate()-7*(7-i)); return d.getTime() })
+      return weeks.map(w=>({
+        label: new Date(w).toLocaleDateString('en-IN',{ day:'numeric', month:'short' }),
+        value: entries.filter(e=>weekStart(e.startedAt)===w).reduce((a,e)=>a+e.duration,0)
+      }))
+    }
+    const map = new Map()
+    entries.forEach(e=>{
+      const k = e.assignee || 'Unassigned'
+      map.set(k,(map.get(k)||0)+e.duration)
+    })
+    return Array.from(map.entries()).map(([label,value])=>({label,value})).sort((a,b)=>b.value-a.value)
+  }
+
+  function renderHours(list,rows){
+    const max = Math.max(1, ...rows.map(r=>r.value))
+    list.innerHTML = ''
+    if(!rows.length){
+      list.innerHTML = '<li class="muted">No time logged yet</li>'
+      return
+    }
+    rows.forEach(r=>{
+      const li = document.createElement('li')
+      li.innerHTML = `<span class="hours-label"></span>
+        <span class="hours-bar"><span style="width:${Math.round((r.value/max)*100)}%"></span></span>
+        <span class="hours-value">${(r.value/3600000).toFixed(1)} h</span>`
+      li.querySelector('.hours-label').textContent = r.label
+      list.appendChild(li)
+    })
+  }
+
+  async function fetchSprintData(path){
+    try{
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
+      const token = localStorage.getItem('token') || ''
+      const res = await fetch(`${base}/api/sprints${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      if(!res.ok) throw new Error('fail')
+      return await res.json()
+    }catch(e){
+      return null
+    }
+  }
+
+  // Lines over a shared x axis as inline SVG; series: [{ name, color, values, dashed }]. Shorter series stop early.
+  function renderLineChart(el,labels,series){
+    const w = 600, h = 220, pad = 30
+    const max = Math.max(1, ...series.flatMap(s=>s.values))
+    const x = i => pad + (labels.length>1 ? i*(w-2*pad)/(labels.length-1) : (w-2*pad)/2)
+    const y = v => h - pad - (v/max)*(h-2*pad)
+    const every = Math.ceil(labels.length/8)
+    el.innerHTML = `<svg viewBox="0 0 ${w} ${h}" role="img">
+      <line class="axis" x1="${pad}" y1="${h-pad}" x2="${w-pad}" y2="${h-pad}"></line>
+      <line class="axis" x1="${pad}" y1="${pad}" x2="${pad}" y2="${h-pad}"></line>
+      <text class="tick" x="${pad-6}" y="${pad+4}" text-anchor="end">${max}</text>
+      <text class="tick" x="${pad-6}" y="${h-pad+4}" text-anchor="end">0</text>
+      ${series.map(s=>`<polyline fill="none" stroke="${s.color}" stroke-width="2.5" ${s.dashed?'stroke-dasharray="6 5"':''} points="${s.values.map((v,i)=>`${x(i)},${y(v)}`).join(' ')}"></polyline>`).join('')}
+      ${labels.map((l,i)=> i%every===0 || i===labels.length-1 ? `<text class="tick" x="${x(i)}" y="${h-10}" text-anchor="middle">${l}</text>` : '').join('')}
+    </svg>`
+  }
+
+  async function fetchFlow(from,to){
+    try{
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000'
+      const token = localStorage.getItem('token') || ''
+      const res = await fetch(`${base}/api/analytics/flow?from=${from}&to=${to}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      if(!res.ok) throw new Error('fail')
+      return await res.json()
+    }catch(e){
+      return null
+    }
+  }
+
+  // Stacked bands as inline SVG; layers are drawn bottom up: [{ name, color, values }]
+  function renderStackedArea(el,labels,layers){
+    const w = 900, h = 260, pad = 30
+    const totals = labels.map((_,i)=>layers.reduce((a,l)=>a+l.values[i],0))
+    const max = Math.max(1, ...totals)
+    const x = i => pad + (labels.length>1 ? i*(w-2*pad)/(labels.length-1) : (w-2*pad)/2)
+    const y = v => h - pad - (v/max)*(h-2*pad)
+    const every = Math.ceil(labels.length/10)
+    const below = labels.map(()=>0)
+    const bands = layers.map(l=>{
+      const lower = below.slice()
+      l.values.forEach((v,i)=>{ below[i] += v })
+      const top = below.map((v,i)=>`${x(i)},${y(v)}`)
+      const bottom = lower.map((v,i)=>`${x(i)},${y(v)}`).reverse()
+      return `<polygon fill="${l.color}" fill-opacity="0.85" stroke="${l.color}" points="${top.concat(bottom).join(' ')}"><title></title></polygon>`
+    })
+    el.innerHTML = `<svg viewBox="0 0 ${w} ${h}" role="img">
+      ${bands.join('')}
+      <line class="axis" x1="${pad}" y1="${h-pad}" x2="${w-pad}" y2="${h-pad}"></line>
+      <line class="axis" x1="${pad}" y1="${pad}" x2="${pad}" y2="${h-pad}"></line>
+      <text class="tick" x="${pad-6}" y="${pad+4}" text-anchor="end">${max}</text>
+      <text class="tick" x="${pad-6}" y="${h-pad+4}" text-anchor="end">0</text>
+      ${labels.map((l,i)=> i%every===0 || i===labels.length-1 ? `<text class="tick" x="${x(i)}" y="${h-10}" text-anchor="middle">${l}</text>` : '').join('')}
+    </svg>`
+    // Column names are user input; set them as text
+    el.querySelectorAll('polygon title').forEach((t,i)=>{ t.textContent = layers[i].name })
+  }
+
+  // Done columns at the bottom, the first column on top, as flow diagrams are usually read
+  function renderFlow(flow,board){
+    const chart = document.getElementById('cfd-chart')
+    const legend = document.getElementById('cfd-legend')
+    const times = document.getElementById('flow-times')
+    if(!chart) return
+    if(!flow){
+      chart.innerHTML = '<p class="muted">Flow metrics are unavailable.</p>'
+      legend.innerHTML = times.innerHTML = ''
+      renderBars(document.getElementById('throughput-bars'), document.getElementById('throughput-labels'), { labels:[], created:[], completed:[] })
+      return
+    }
+    const short = d=>new Date(`${d}T00:00`).toLocaleDateString('en-IN',{ day:'numeric', month:'short' })
+    const layers = board.columns.slice().reverse().map(c=>({ name:c.name, color:c.color, values: flow.cfd.map(d=>d.counts[c.id]||0) }))
+    renderStackedArea(chart, flow.cfd.map(d=>short(d.date)), layers)
+    legend.innerHTML = ''
+    board.columns.forEach(c=>{
+      const li = document.createElement('li')
+      li.innerHTML = `<span class="dot" style="background:${c.color}"></span> `
+      li.appendChild(document.createTextNode(c.name))
+      legend.appendChild(li)
+    })
+    const row = (name,p)=>`<tr><th>${name}</th><td>${p.p50 ?? '—'}</td><td>${p.p85 ?? '—'}</td><td>${p.p95 ?? '—'}</td><td>${p.count}</td></tr>`
+    times.innerHTML = row('Lead time', flow.leadTime) + row('Cycle time', flow.cycleTime)
+    const max = Math.max(1, ...flow.throughput.flatMap(w=>[w.created,w.completed]))
+    renderBars(document.getElementById('throughput-bars'), document.getElementById('throughput-labels'), {
+      labels: flow.throughput.map(w=>short(w.week)),
+      created: flow.throughput.map(w=>w.created/max),
+      completed: flow.throughput.map(w=>w.completed/max)
+    })
+  }
+
+  // Monte Carlo forecast: replay random days of past throughput many times over.
+  // Samples come from the last 12 weeks, or since the first completion if that is more recent.
+  const FORECAST_TRIALS = 5000
+  const FORECAST_MAX_DAYS = 3650
+
+  function dailyThroughput(tasks,board){
+    const day = ms=>{ const d = new Date(ms); d.setHours(0,0,0,0); return d.getTime() }
+    const today = day(Date.now())
+    const completed = tasks.filter(t=>isDone(board,t.status) && t.completedAt).map(t=>day(Date.parse(t.completedAt)))
+    const windowStart = Math.max(today - 83*86400000, Math.min(today, ...completed))
+    const samples = []
+    for(let d = windowStart; d <= today; d += 86400000) samples.push(completed.filter(c=>c===d).length)
+    return samples
+  }
+
+  function percentile(sorted,p){
+    return sorted[Math.min(sorted.length-1, Math.ceil((p/100)*sorted.length)-1)]
+  }
+
+  // Days needed to finish `remaining` tasks, per trial; null when history has no completions
+  function simulateDays(samples,remaining){
+    if(!samples.some(n=>n>0)) return null
+    const results = []
+    for(let i=0;i<FORECAST_TRIALS;i++){
+      let done = 0, days = 0
+      while(done < remaining && days < FORECAST_MAX_DAYS){
+        done += samples[Math.floor(Math.random()*samples.length)]
+        days++
+      }
+      results.push(days)
+    }
+    return results.sort((a,b)=>a-b)
+  }
+
+  // Tasks finished over the next `days` days, per trial
+  function simulateCount(samples,days){
+    const results = []
+    for(let i=0;i<FORECAST_TRIALS;i++){
+      let done = 0
+      for(let d=0; d<days; d++) done += samples[Math.floor(Math.random()*samples.length)]
+      results.push(done)
+    }
+    return results.sort((a,b)=>a-b)
+  }
+
+  // Bars of how often each outcome came up, grouped into at most 30 bins; bins holding a
+  // reported percentile are highlighted
+  function renderHistogram(el,results,label,marks){
+    const min = results[0], max = results[results.length-1]
+    const width = Math.max(1, Math.ceil((max-min+1)/30))
+    const bins = []
+    for(let v=min; v<=max; v+=width) bins.push({ from:v, count:0 })
+    results.forEach(r=>{ bins[Math.floor((r-min)/width)].count++ })
+    const top = Math.max(...bins.map(b=>b.count))
+    el.innerHTML = ''
+    bins.forEach(b=>{
+      const col = document.createElement('div')
+      col.className = 'histogram-bin'
+      if(marks.some(m=>m>=b.from && m<b.from+width)) col.classList.add('marked')
+      col.title = `${label(b.from)}${width>1?` – ${label(b.from+width-1)}`:''}: ${Math.round((b.count/results.length)*1000)/10}% of runs`
+      col.innerHTML = `<span style="height:${Math.round((b.count/top)*100)}%"></span><small></small>`
+      col.querySelector('small').textContent = label(b.from)
+      el.appendChild(col)
+    })
+  }
+
+  function renderForecast(tasks,board,mode){
+    const results = document.getElementById('forecast-results')
+    const histogram = document.getElementById('forecast-histogram')
+    const basis = document.getElementById('forecast-basis')
+    if(!results) return
+    const samples = dailyThroughput(tasks,board)
+    const total = samples.reduce((a,b)=>a+b,0)
+    basis.textContent = `Based on ${total} task${total===1?'':'s'} completed over the last ${samples.length} day${samples.length===1?'':'s'}`
+    const fail = (msg)=>{ results.innerHTML = `<li class="muted">${msg}</li>`; histogram.innerHTML = '' }
+    if(!total) return fail('Complete a few tasks to get a forecast.')
+    const dateAfter = days=>{ const d = new Date(); d.setDate(d.getDate()+days); return d }
+    const fmt = d=>d.toLocaleDateString('en-IN',{ day:'numeric', month:'short', year:'numeric' })
+    if(mode==='how-many'){
+      const target = document.getElementById('forecast-date').value
+      const today = new Date(); today.setHours(0,0,0,0)
+      const days = target ? Math.round((new Date(`${target}T00:00`) - today)/86400000) : 0
+      if(days < 1) return fail('Pick a date after today.')
+      const runs = simulateCount(samples,days)
+      // "At least N" with X% confidence is the (100 - X)th percentile of the outcomes
+      const levels = [50,85,95].map(p=>({ p, value: percentile(runs,100-p) }))
+      results.innerHTML = levels.map(l=>`<li><strong>${l.p}%</strong> chance of finishing at least <strong>${l.value}</strong> task${l.value===1?'':'s'}</li>`).join('')
+      renderHistogram(histogram,runs,v=>String(v),levels.map(l=>l.value))
+      return
     }
+    const remaining = parseInt(document.getElementById('forecast-remaining').value,10)
+    if(!(remaining > 0)) return fail('Enter how many tasks remain.')
+    const runs = simulateDays(samples,remaining)
+    const levels = [50,85,95].map(p=>({ p, value: percentile(runs,p) }))
+    const capped = levels.some(l=>l.value>=FORECAST_MAX_DAYS)
+    results.innerHTML = levels.map(l=>`<li><strong>${l.p}%</strong> chance of being done by <strong>${fmt(dateAfter(l.value))}</strong> <span class="muted">(${l.value} day${l.value===1?'':'s'})</span></li>`).join('')
+      + (capped ? '<li class="muted">Some runs did not finish within 10 years at the current pace.</li>' : '')
+    renderHistogram(histogram,runs,v=>dateAfter(v).toLocaleDateString('en-IN',{ day:'numeric', month:'short' }),levels.map(l=>l.value))
+  }
+
+  function sprintDays(sprint){
+    const days = []
+    const [sy,sm,sd] = sprint.startDate.split('-').map(Number)
+    const [ey,em,ed] = sprint.endDate.split('-').map(Number)
+    for(const d = new Date(sy,sm-1,sd); d <= new Date(ey,em-1,ed); d.setDate(d.getDate()+1)) days.push(new Date(d))
+    return days
+  }
+
+  // Burndown: remaining vs an ideal line to zero. Burnup: done vs scope. Counts tasks when nothing is estimated.
+  function renderSprintChart(el,legend,data,mode){
+    if(!data || !data.days){
+      el.innerHTML = '<p class="muted">No sprints yet. Plan one from the Tasks page.</p>'
+      legend.innerHTML = ''
+      return
+    }
+    const usePoints = data.days.some(d=>d.scope>0)
+    const scope = data.days.map(d=>usePoints ? d.scope : d.tasks)
+    const done = data.days.map(d=>usePoints ? d.completed : d.doneTasks)
+    const labels = sprintDays(data.sprint).map(d=>d.toLocaleDateString('en-IN',{ day:'numeric', month:'short' }))
+    const unit = usePoints ? 'points' : 'tasks'
+    let series
+    if(mode==='burnup'){
+      series = [
+        { name:`Scope (${unit})`, color:'#94A3B8', values:scope, dashed:true },
+        { name:`Done (${unit})`, color:'#34D399', values:done }
+      ]
+    }else{
+      const start = scope[0] || 0
+      const steps = Math.max(1, labels.length-1)
+      series = [
+        { name:'Ideal', color:'#CBD5E1', values:labels.map((_,i)=>Math.round(start*(1-i/steps)*10)/10), dashed:true },
+        { name:`Remaining (${unit})`, color:'#6366F1', values:scope.map((v,i)=>v-done[i]) }
+      ]
+    }
+    renderLineChart(el,labels,series)
+    legend.innerHTML = series.map(s=>`<li><span class="dot" style="background:${s.color}"></span> ${s.name}</li>`).join('')
+  }
+
+  function renderVelocity(rows){
+    const bars = document.getElementById('velocity-bars')
+    const labelsEl = document.getElementById('velocity-labels')
+    const summary = document.getElementById('velocity-summary')
+    if(!bars) return
+    rows = rows || []
+    const max = Math.max(1, ...rows.flatMap(r=>[r.committed,r.completed]))
+    renderBars(bars,labelsEl,{
+      labels: rows.map(r=>r.name),
+      created: rows.map(r=>r.committed/max),
+      completed: rows.map(r=>r.completed/max)
+    })
+    const avg = rows.length ? rows.reduce((a,r)=>a+r.completed,0)/rows.length : 0
+    summary.textContent = rows.length ? `Average velocity: ${avg.toFixed(1)} points over ${rows.length} sprint${rows.length===1?'':'s'}` : 'Complete a sprint to see velocity.'
+  }
+
+  // A task counts once under each of its labels, so segments can add up to more than the task total
+  function groupByLabel(tasks,labels){
+    const segs = labels.map(l=>({ label:l.name, value: tasks.filter(t=>(t.labels||[]).map(String).includes(String(l.id))).length, color:l.color }))
+    const none = tasks.filter(t=>!(t.labels||[]).length).length
+    if(none) segs.push({ label:'No label', value:none, color:'#CBD5E1' })
+    return segs
+  }
+
+  function isDone(board,status){
+    return board.columns.some(c=>c.id===status && c.done)
   }
 
   function setKPI(sel,value,trend){
@@ -21,9 +380,19 @@
 
   function unique(arr){ return Array.from(new Set(arr)) }
 
+  // Task events arrive in bursts (bulk edits, drags); refresh once they settle
+  function debounce(fn,ms){
+    let timer = null
+    return ()=>{
+      clearTimeout(timer)
+      timer = setTimeout(fn,ms)
+    }
+  }
+
   function renderBars(container,labelEl,data){
     container.innerHTML = ''
     labelEl.innerHTML = ''
+    container.style.gridTemplateColumns = labelEl.style.gridTemplateColumns = `repeat(${Math.max(1,data.labels.length)}, 1fr)`
     const weeks = data.labels
     weeks.forEach((w,i)=>{
       const pair = document.createElement('div')
@@ -61,7 +430,12 @@
     legend.innerHTML = ''
     segments.forEach(s=>{
       const li = document.createElement('li')
-      li.innerHTML = `<span class="dot" style="background:${s.color}"></span> ${s.label} <span class="legend-value">${s.value} (${Math.round((s.value/total)*100)}%)</span>`
+      li.innerHTML = `<span class="dot" style="background:${s.color}"></span> `
+      li.appendChild(document.createTextNode(`${s.label} `))
+      const value = document.createElement('span')
+      value.className = 'legend-value'
+      value.textContent = `${s.value} (${Math.round((s.value/total)*100)}%)`
+      li.appendChild(value)
       legend.appendChild(li)
     })
   }
@@ -75,22 +449,23 @@
     return Array.from(map.entries()).map(([label,value])=>({label,value}))
   }
 
-  document.addEventListener('DOMContentLoaded', async ()=>{
-    const tasks = await fetchTasks()
+  function renderKPIs(tasks,board){
     const total = tasks.length
-    const done = tasks.filter(t=>t.status==='done').length
+    const done = tasks.filter(t=>isDone(board,t.status)).length
     const assignees = unique(tasks.map(t=>t.assignee).filter(Boolean)).length
     setKPI('total', total, '')
     setKPI('completed', done, '')
     // Compute average completion time from assignedAt -> completedAt
     const durations = tasks
-      .filter(t=>t.status==='done' && t.assignedAt && t.completedAt)
+      .filter(t=>isDone(board,t.status) && t.assignedAt && t.completedAt)
       .map(t=> (Date.parse(t.completedAt) - Date.parse(t.assignedAt)) / (1000*60*60*24))
     const avgDays = durations.length ? (durations.reduce((a,b)=>a+b,0)/durations.length) : null
     setKPI('avg-time', avgDays ? `${avgDays.toFixed(1)} days` : '—', '')
     setKPI('active-members', assignees, '')
+  }
 
-    // Replace bars with deadline breakdown list
+  // Replace bars with deadline breakdown list
+  function renderDeadlines(tasks,board){
     const list = document.getElementById('deadline-list')
     const overdueEl = document.getElementById('deadline-overdue-count')
     const nearEl = document.getElementById('deadline-neardue-count')
@@ -99,7 +474,7 @@
     const nearMs = 1000*60*60*48 // 48 hours
     let overdue=0, near=0, upcoming=0
     const items = tasks
-      .filter(t=>t.deadline)
+      .filter(t=>t.deadline && !t.archivedAt)
       .map(t=>({
         title: t.title,
         whenIST: t.assignedAtIST || new Date(t.assignedAt||t.createdAt||now).toLocaleString('en-IN',{timeZone:'Asia/Kolkata'}),
@@ -111,50 +486,51 @@
     list.innerHTML = ''
     items.forEach(i=>{
       const li = document.createElement('li')
-      const isOverdue = now > i.ms && i.status!=='done'
+      const isOverdue = now > i.ms && !isDone(board,i.status)
       const isNear = !isOverdue && (i.ms - now) <= nearMs
       if(isOverdue) overdue++
       else if(isNear) near++
       else upcoming++
       li.innerHTML = `<div class="view-card" style="display:flex;justify-content:space-between;align-items:center;padding:10px">
         <div>
-          <div class="title">${i.title}</div>
+          <div class="title"></div>
           <div class="card-meta">Assigned • ${i.whenIST}</div>
         </div>
         <div>
           <span class="badge ${isOverdue?'overdue':(isNear?'near-due':'')}">${isOverdue?'Overdue':(isNear?'Due Soon':'Due ' + i.deadline.toLocaleDateString('en-IN'))}</span>
         </div>
       </div>`
+      li.querySelector('.title').textContent = i.title
       list.appendChild(li)
     })
     overdueEl.textContent = String(overdue)
     nearEl.textContent = String(near)
     upEl.textContent = String(upcoming)
+  }
+
+  document.addEventListener('DOMContentLoaded', async ()=>{
+    const tasks = await fetchTasks()
+    let board = await fetchBoard()
+    let labels = await fetchLabels()
+    let entries = await fetchTimeEntries()
+    let mode = 'status'
+    let hoursMode = 'assignee'
 
     // Donut modes
     const donut = document.getElementById('donut')
     const legend = document.getElementById('donut-legend')
-    const modeButtons = document.querySelectorAll('.segmented .segment')
-    const colors = {
-      backlog: getComputedStyle(document.documentElement).getPropertyValue('--status-backlog')||'#EF4444',
-      progress: getComputedStyle(document.documentElement).getPropertyValue('--status-progress')||'#60A5FA',
-      review: getComputedStyle(document.documentElement).getPropertyValue('--status-review')||'#A78BFA',
-      done: getComputedStyle(document.documentElement).getPropertyValue('--status-done')||'#22C55E'
-    }
+    const modeButtons = donut.closest('.widget').querySelectorAll('.segmented .segment')
     const renderMode = (mode)=>{
       let segs
       if(mode==='status'){
-        const groups = [
-          {label:'Backlog', value: tasks.filter(t=>t.status==='backlog').length, color: colors.backlog},
-          {label:'In Progress', value: tasks.filter(t=>t.status==='in-progress').length, color: colors.progress},
-          {label:'Review', value: tasks.filter(t=>t.status==='review').length, color: colors.review},
-          {label:'Done', value: tasks.filter(t=>t.status==='done').length, color: colors.done}
-        ]
+        const groups = board.columns.map(c=>({ label:c.name, value: tasks.filter(t=>t.status===c.id).length, color: c.color }))
         segs = groups
       }else if(mode==='priority'){
         const palette = ['#EF4444','#F59E0B','#10B981']
         const groups = groupBy(tasks,'priority').map((g,i)=>({ label:g.label, value:g.value, color: palette[i%palette.length] }))
         segs = groups
+      }else if(mode==='label'){
+        segs = groupByLabel(tasks,labels)
       }else{
         const palette = ['#6366F1','#06B6D4','#F43F5E','#84CC16']
         const groups = groupBy(tasks,t=>t.assignee||'Unassigned').map((g,i)=>({ label:g.label, value:g.value, color: palette[i%palette.length] }))
@@ -166,9 +542,145 @@
       btn.addEventListener('click', ()=>{
         modeButtons.forEach(b=>b.classList.remove('active'))
         btn.classList.add('active')
-        renderMode(btn.getAttribute('data-mode'))
+        mode = btn.getAttribute('data-mode')
+        renderMode(mode)
+      })
+    })
+    const hoursList = document.getElementById('hours-list')
+    const hoursButtons = document.querySelectorAll('#hours-mode .segment')
+    hoursButtons.forEach(btn=>{
+      btn.addEventListener('click', ()=>{
+        hoursButtons.forEach(b=>b.classList.remove('active'))
+        btn.classList.add('active')
+        hoursMode = btn.getAttribute('data-mode')
+        renderHours(hoursList, groupHours(entries,hoursMode))
       })
     })
-    renderMode('status')
+    const render = ()=>{
+      renderKPIs(tasks,board)
+      renderDeadlines(tasks,board)
+      renderMode(mode)
+      renderHours(hoursList, groupHours(entries,hoursMode))
+    }
+    render()
+
+    // Forecast: remaining defaults to the open tasks, the target date to four weeks out
+    const forecastButtons = document.querySelectorAll('#forecast-mode .segment')
+    const forecastRemaining = document.getElementById('forecast-remaining')
+    const forecastDate = document.getElementById('forecast-date')
+    let forecastMode = 'when'
+    forecastRemaining.value = tasks.filter(t=>!isDone(board,t.status)).length || ''
+    const inFourWeeks = new Date()
+    inFourWeeks.setDate(inFourWeeks.getDate()+28)
+    forecastDate.value = inFourWeeks.toLocaleDateString('en-CA')
+    const forecast = ()=>renderForecast(tasks,board,forecastMode)
+    forecastButtons.forEach(btn=>{
+      btn.addEventListener('click', ()=>{
+        forecastButtons.forEach(b=>b.classList.remove('active'))
+        btn.classList.add('active')
+        forecastMode = btn.getAttribute('data-mode')
+        document.querySelector('.forecast-when').hidden = forecastMode!=='when'
+        document.querySelector('.forecast-how-many').hidden = forecastMode!=='how-many'
+        forecast()
+      })
+    })
+    forecastRemaining.addEventListener('change', forecast)
+    forecastDate.addEventListener('change', forecast)
+    forecast()
+
+    // Flow metrics over the chosen range, the last 30 days by default
+    const flowFrom = document.getElementById('flow-from')
+    const flowTo = document.getElementById('flow-to')
+    const monthAgo = new Date()
+    monthAgo.setDate(monthAgo.getDate()-29)
+    flowFrom.value = monthAgo.toLocaleDateString('en-CA')
+    flowTo.value = new Date().toLocaleDateString('en-CA')
+    let flow = null
+    const loadFlow = async ()=>{
+      if(!flowFrom.value || !flowTo.value || flowFrom.value > flowTo.value) return
+      flow = await fetchFlow(flowFrom.value, flowTo.value)
+      renderFlow(flow,board)
+    }
+    flowFrom.addEventListener('change', loadFlow)
+    flowTo.addEventListener('change', loadFlow)
+    await loadFlow()
+
+    // Sprint progress: the active sprint by default, otherwise the most recent one
+    const sprintSelect = document.getElementById('sprint-select')
+    const sprintChart = document.getElementById('sprint-chart')
+    const sprintLegend = document.getElementById('sprint-legend')
+    const sprintButtons = document.querySelectorAll('#sprint-chart-mode .segment')
+    let sprintMode = 'burndown'
+    let sprintData = null
+    const loadSprints = async ()=>{
+      const sprints = await fetchSprintData('') || []
+      const keep = sprintSelect.value
+      sprintSelect.innerHTML = ''
+      sprints.forEach(sp=>sprintSelect.appendChild(new Option(`${sp.name}${sp.state==='active'?' (active)':''}`, sp._id)))
+      const active = sprints.find(sp=>sp.state==='active')
+      sprintSelect.value = sprints.some(sp=>String(sp._id)===keep) ? keep : String((active || sprints[0] || {})._id || '')
+      sprintSelect.hidden = !sprints.length
+    }
+    const loadSprintChart = async ()=>{
+      sprintData = sprintSelect.value ? await fetchSprintData(`/${sprintSelect.value}/burndown`) : null
+      renderSprintChart(sprintChart,sprintLegend,sprintData,sprintMode)
+      renderVelocity(await fetchSprintData('/velocity'))
+    }
+    sprintButtons.forEach(btn=>{
+      btn.addEventListener('click', ()=>{
+        sprintButtons.forEach(b=>b.classList.remove('active'))
+        btn.classList.add('active')
+        sprintMode = btn.getAttribute('data-mode')
+        renderSprintChart(sprintChart,sprintLegend,sprintData,sprintMode)
+      })
+    })
+    sprintSelect.addEventListener('change', loadSprintChart)
+    await loadSprints()
+    await loadSprintChart()
+    document.addEventListener('app:sprints', async ()=>{
+      await loadSprints()
+      await loadSprintChart()
+    })
+    document.addEventListener('app:task', debounce(loadSprintChart,1000))
+    document.addEventListener('app:task', debounce(loadFlow,1000))
+    document.addEventListener('app:board', (e)=>{ board = e.detail.board; loadFlow() })
+
+    // Logged time changed; entries carry the task assignee, so refetch rather than patch
+    document.addEventListener('app:time', async ()=>{
+      entries = await fetchTimeEntries()
+      renderHours(hoursList, groupHours(entries,hoursMode))
+    })
+
+    // Apply live task events pushed through AppCore's event stream
+    document.addEventListener('app:task', (e)=>{
+      const { type, task, id } = e.detail
+      const idx = tasks.findIndex(t=>String(t._id||t.id)===String(id))
+      if(type==='task.deleted'){
+        if(idx!==-1) tasks.splice(idx,1)
+      }else if(idx!==-1){
+        tasks[idx] = { ...tasks[idx], ...task }
+      }else{
+        tasks.push(task)
+      }
+      render()
+    })
+
+    document.addEventListener('app:labels', (e)=>{
+      labels = e.detail.labels
+      const known = new Set(labels.map(l=>String(l.id)))
+      tasks.forEach(t=>{ t.labels = (t.labels||[]).filter(id=>known.has(String(id))) })
+      render()
+    })
+
+    // Columns changed; removed columns may have moved tasks, so reload them too
+    document.addEventListener('app:board', async (e)=>{
+      board = e.detail.board
+      tasks.splice(0, tasks.length, ...await fetchTasks())
+      render()
+      forecast()
+    })
+
+    // The simulation is costly; rerun it once a burst of task events has been applied
+    document.addEventListener('app:task', debounce(forecast,1000))
   })
 })()
\ No newline at end of file
@@ -5,6 +5,8 @@ class AppCore {
   constructor() {
     this.data = null;
     this.currentPage = this._getCurrentPage();
+    // Undoable task changes made in this tab, newest last
+    this.history = { undo: [], redo: [] };
     this.init();
     if (!document.getElementById('toast-root')) {
       const t = document.createElement('div'); t.id = 'toast-root'; t.className = 'toast-container'; document.body.appendChild(t);
@@ -19,11 +21,16 @@ class AppCore {
     this.setupThemeToggle();
     this.setupSidebar();
     this.setupNotifications();
+    this.setupTimerIndicator();
     this.renderUserProfile();
     
     // Initialize page-specific functionality
-    this.initPageSpecific();
+    await this.initPageSpecific();
     this.updateTasksStatusWidget();
+    this.setupLiveUpdates();
+    this.setupUndoShortcuts();
+    this.ready = true;
+    document.dispatchEvent(new CustomEvent('app:ready'));
   }
 
   /**
@@ -45,756 +52,3184 @@ class AppCore {
           const meRes = await fetch(`${base}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
           if (meRes.ok) {
             const me = await meRes.json();
-            this.data.user = { name: me.name, email: me.email, avatar: (me.name || 'U').split(' ').map(w=>w[0]).join('').slice(0,2).toUpperCase() };
+            this.data.user = { id: me.id, name: me.name, email: me.email, avatar: (me.name || 'U').split(' ').map(w=>w[0]).join('').slice(0,2).toUpperCase() };
           }
         }
       } catch (_) {}
+      await this.loadWorkspaces();
+      await this.loadBoard();
+      await this.loadLabels();
+      await this.loadSprints();
+      await this.loadUnreadCount();
+      await this.loadRunningTimer();
       console.log('Data loaded successfully');
     } catch (error) {
       console.error('Error loading data:', error);
       // Fallback to empty data structure
-      this.data = { user: {}, notifications: [], projects: [], roadmap: {}, tasks: [] };
+      this.data = { user: {}, notifications: [], unreadCount: 0, projects: [], roadmap: {}, tasks: [] };
     }
   }
 
+  /**
+   * Load the workspace's tasks a page at a time. Only the first page is awaited, so the board
+   * can render right away; the rest are drawn as they arrive.
+   */
   async loadTasksFromAPI() {
+    const load = this.taskLoad = (this.taskLoad || 0) + 1;
     try {
-      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-      const token = localStorage.getItem('token') || '';
-      const res = await fetch(`${base}/api/tasks`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
-      if (!res.ok) throw new Error('Failed tasks');
-      const tasks = await res.json();
-      this.data.tasks = tasks.map(t => ({
-        id: t._id || t.id,
-        title: t.title,
-        priority: t.priority || 'Medium',
-        status: t.status || 'backlog',
-        assignee: t.assignee || '',
-        userId: t.userId,
-        starred: Boolean(t.starred),
-        createdAt: t.createdAt || Date.now()
-      }));
+      const { tasks, cursor } = await this._fetchTaskPage();
+      this.data.tasks = tasks.map(t => this._mapTask(t));
+      if (cursor) this._loadTaskPages(cursor, load);
     } catch (e) {
       if (!this.data.tasks) this.data.tasks = [];
     }
   }
 
+  async _fetchTaskPage(cursor = null) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const params = new URLSearchParams({ sort: 'rank', order: 'asc', limit: '200' });
+    if (cursor) params.set('cursor', cursor);
+    const res = await fetch(`${base}/api/tasks?${params}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    if (!res.ok) throw new Error('Failed tasks');
+    return { tasks: await res.json(), cursor: res.headers.get('X-Next-Cursor') };
+  }
+
+  // The remaining pages of a load; a newer load (a workspace switch or a reconcile) stops this one
+  async _loadTaskPages(cursor, load) {
+    while (cursor) {
+      let page;
+      try {
+        page = await this._fetchTaskPage(cursor);
+      } catch (_) {
+        return;
+      }
+      if (load !== this.taskLoad) return;
+      // Live events may have brought some of these in already, newer than the page
+      const known = new Set(this.data.tasks.map(t => String(t.id)));
+      page.tasks.forEach(t => { if (!known.has(String(t._id))) this.data.tasks.push(this._mapTask(t)); });
+      cursor = page.cursor;
+      const board = document.querySelector('.tasks-board');
+      if (board) this._renderBoard(board);
+      this.updateTasksStatusWidget();
+      this.renderPinnedTasks();
+      document.dispatchEvent(new CustomEvent('app:tasks', { detail: { complete: !cursor } }));
+    }
+  }
+
   /**
-   * Set up theme toggle functionality
+   * Normalize a task document from the API into the client-side shape
    */
-  setupThemeToggle() {
-    const themeToggle = document.getElementById('theme-toggle');
-    if (!themeToggle) return;
+  _mapTask(t) {
+    return {
+      id: t._id || t.id,
+      title: t.title,
+      priority: t.priority || 'Medium',
+      status: t.status || this._firstStatus(),
+      assignee: t.assignee || '',
+      userId: t.userId,
+      starred: Boolean(t.starred),
+      createdAt: t.createdAt || Date.now(),
+      assignedAt: t.assignedAt,
+      assignedAtIST: t.assignedAtIST,
+      deadline: t.deadline,
+      completedAt: t.completedAt,
+      completedAtIST: t.completedAtIST,
+      checklist: t.checklist || [],
+      parentId: t.parentId,
+      childPosition: t.childPosition,
+      blockedBy: (t.blockedBy || []).map(String),
+      recurrence: t.recurrence || null,
+      rank: t.rank,
+      labels: (t.labels || []).map(String),
+      attachments: t.attachments || [],
+      points: t.points ?? null,
+      sprintId: t.sprintId ? String(t.sprintId) : null,
+      deletedAt: t.deletedAt || null,
+      archivedAt: t.archivedAt || null,
+      archivedBy: t.archivedBy ? String(t.archivedBy) : null
+    };
+  }
 
-    // Check for saved theme preference or system preference
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const shouldDark = savedTheme ? savedTheme === 'dark' : prefersDark;
-    document.documentElement.classList.toggle('dark-theme', shouldDark);
-    document.body.classList.toggle('dark-theme', shouldDark);
-    themeToggle.checked = shouldDark;
+  /**
+   * PATCH a task. When the server refuses to complete a task with open blockers,
+   * or to move it into a column at its WIP limit, ask whether to go ahead and retry with the override.
+   * Resolves to { ok, data }.
+   */
+  async _patchTask(id, body) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const send = async (payload) => {
+      const res = await fetch(`${base}/api/tasks/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: JSON.stringify(payload) });
+      let data = null;
+      try { data = await res.json(); } catch (_) {}
+      return { ok: res.ok, status: res.status, data };
+    };
+    let payload = body;
+    let result = await send(payload);
+    if (result.status === 409 && result.data?.blockers) {
+      const names = result.data.blockers.map(b => `• ${b.title}`).join('\n');
+      if (confirm(`This task is blocked by open tasks:\n${names}\n\nComplete it anyway?`)) {
+        payload = { ...payload, force: true };
+        result = await send(payload);
+      }
+    }
+    if (result.status === 409 && result.data?.wip && this._confirmWipOverride(result.data.wip)) {
+      result = await send({ ...payload, overrideWip: true });
+    }
+    return result;
+  }
 
-    // Handle theme toggle
-    themeToggle.addEventListener('change', () => {
-      const enable = themeToggle.checked;
-      document.documentElement.classList.toggle('dark-theme', enable);
-      document.body.classList.toggle('dark-theme', enable);
-      localStorage.setItem('theme', enable ? 'dark' : 'light');
-    });
+  /**
+   * POST a new task, offering to override a full column's WIP limit.
+   * Resolves to { ok, data }.
+   */
+  async _createTask(body) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const send = async (payload) => {
+      const res = await fetch(`${base}/api/tasks`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: JSON.stringify(payload) });
+      let data = null;
+      try { data = await res.json(); } catch (_) {}
+      return { ok: res.ok, status: res.status, data };
+    };
+    let result = await send(body);
+    if (result.status === 409 && result.data?.wip && this._confirmWipOverride(result.data.wip)) {
+      result = await send({ ...body, overrideWip: true });
+    }
+    return result;
+  }
+
+  _confirmWipOverride(wip) {
+    return confirm(`${this._statusLabel(wip.status)} is at its WIP limit of ${wip.limit}.\n\nAdd the task anyway? The override is recorded in the task history.`);
   }
 
   /**
-   * Set up sidebar functionality
+   * Move a task within its column, directly above { beforeId } or below { afterId }.
+   * Resolves to { ok, data }.
    */
-  setupSidebar() {
-    // Highlight active nav link
-    const currentPath = window.location.pathname;
-    const navLinks = document.querySelectorAll('.nav-link, .section-link');
-    
-    navLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href && (currentPath.endsWith(href) || (currentPath === '/' && href === 'index.html'))) {
-        link.classList.add('active');
-      }
-    });
+  async _reorderTask(id, position) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const res = await fetch(`${base}/api/tasks/${id}/reorder`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: JSON.stringify(position) });
+    let data = null;
+    try { data = await res.json(); } catch (_) {}
+    return { ok: res.ok, status: res.status, data };
+  }
 
-    const newTaskButtons = Array.from(document.querySelectorAll('.button.button-primary'))
-      .filter(b => b.textContent.trim() === '+ New Task');
-    newTaskButtons.forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        if (this.currentPage === 'tasks') {
-          this.openTaskModal();
-        } else {
-          window.location.href = 'tasks.html#new';
-        }
-      });
-    });
+  /**
+   * Blocking tasks that are not done yet. Trashed blockers stay in blockedBy until purged but don't block.
+   */
+  _openBlockers(task) {
+    const ids = new Set(task.blockedBy || []);
+    return (this.data?.tasks || []).filter(t => ids.has(String(t.id)) && !t.deletedAt && !this._isDone(t.status));
+  }
 
-    // Logout action
-    const profileRow = document.getElementById('profile-row');
-    const profileMenu = document.getElementById('profile-menu');
-    const logoutAction = document.getElementById('logout-action');
-    if (profileRow && profileMenu) {
-      profileRow.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const open = profileMenu.style.display === 'block';
-        profileMenu.style.display = open ? 'none' : 'block';
-      });
-      document.addEventListener('click', () => { profileMenu.style.display = 'none'; });
-    }
-    logoutAction?.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      try {
-        const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-        const token = localStorage.getItem('token') || '';
-        if (token) await fetch(`${base}/api/auth/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
-      } catch (_) {}
-      localStorage.removeItem('token');
-      document.cookie = 'token=; Path=/; Max-Age=0';
-      window.location.href = 'login.html';
-    });
+  /**
+   * Load the active workspace's workflow columns and allowed transitions
+   */
+  async loadBoard() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/board`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) this.data.board = await res.json();
+    } catch (_) {}
   }
 
   /**
-   * Set up notifications functionality
+   * Load the active workspace's labels
    */
-  setupNotifications() {
-    const notificationButton = document.querySelector('button[aria-label="Notifications"]');
-    if (!notificationButton) return;
-    
-    // Update notification count
-    const unreadCount = this.data?.notifications?.filter(n => !n.isRead).length || 0;
-    
-    if (unreadCount > 0) {
-      // Create or update notification badge
-      let badge = notificationButton.querySelector('.notification-badge');
-      if (!badge) {
-        badge = document.createElement('span');
-        badge.className = 'notification-badge';
-        notificationButton.appendChild(badge);
-      }
-      badge.textContent = unreadCount;
-    }
-    
-    // Add click handler to navigate to inbox
-    notificationButton.addEventListener('click', () => {
-      window.location.href = 'inbox.html';
-    });
+  async loadLabels() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/labels`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) this.data.labels = (await res.json()).map(l => ({ ...l, id: String(l.id) }));
+    } catch (_) {}
+  }
+
+  _labelChips(task) {
+    const byId = new Map((this.data?.labels || []).map(l => [l.id, l]));
+    return (task.labels || [])
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(l => `<span class="label-chip" style="--label-color:${l.color}">${this._escapeHtml(l.name)}</span>`)
+      .join('');
   }
 
   /**
-   * Render user profile information
+   * Checkbox chips for choosing a task's labels; read back with _readLabelPicker
    */
-  renderUserProfile() {
-    if (!this.data?.user) return;
-    
-    const profileNameElements = document.querySelectorAll('.profile-name');
-    const profileEmailElements = document.querySelectorAll('.profile-email');
-    const avatarElements = document.querySelectorAll('.avatar');
-    
-    profileNameElements.forEach(el => {
-      el.textContent = this.data.user.name;
-    });
-    
-    profileEmailElements.forEach(el => {
-      el.textContent = this.data.user.email;
-    });
-    
-    avatarElements.forEach(el => {
-      el.textContent = this.data.user.avatar;
+  _labelPicker(selected = []) {
+    const labels = this.data?.labels || [];
+    if (!labels.length) return '<span class="muted">No labels yet</span>';
+    return labels.map(l => `<label class="label-chip selectable" style="--label-color:${l.color}"><input type="checkbox" value="${l.id}" ${selected.includes(l.id) ? 'checked' : ''}>${this._escapeHtml(l.name)}</label>`).join('');
+  }
+
+  _readLabelPicker(root) {
+    return Array.from(root.querySelectorAll('input:checked')).map(i => i.value);
+  }
+
+  /**
+   * Board filters: the sprint bar ('' for all, 'backlog' or a sprint id) and the label chips
+   */
+  _matchesFilters(task) {
+    if (this.sprintFilter === 'backlog' && task.sprintId) return false;
+    if (this.sprintFilter && this.sprintFilter !== 'backlog' && task.sprintId !== this.sprintFilter) return false;
+    if (!this.labelFilter?.size) return true;
+    return (task.labels || []).some(id => this.labelFilter.has(id));
+  }
+
+  /**
+   * Label filter bar above the board: toggling chips shows only tasks with any selected label
+   */
+  _renderLabelFilter(board) {
+    const bar = document.getElementById('label-filter');
+    if (!bar) return;
+    if (!this.labelFilter) this.labelFilter = new Set();
+    const labels = this.data?.labels || [];
+    bar.innerHTML = `
+      <span class="muted">Labels</span>
+      ${labels.map(l => `<button type="button" class="label-chip selectable${this.labelFilter.has(l.id) ? ' active' : ''}" data-id="${l.id}" style="--label-color:${l.color}">${this._escapeHtml(l.name)}</button>`).join('')}
+      ${this.labelFilter.size ? '<button type="button" class="button" data-action="clear">Clear</button>' : ''}
+      <button type="button" class="button" data-action="manage">Manage labels</button>`;
+    bar.querySelectorAll('.label-chip').forEach(chip => chip.addEventListener('click', () => {
+      const id = chip.dataset.id;
+      if (this.labelFilter.has(id)) this.labelFilter.delete(id);
+      else this.labelFilter.add(id);
+      this._renderLabelFilter(board);
+      this._applyFilters(board);
+    }));
+    bar.querySelector('[data-action="clear"]')?.addEventListener('click', () => {
+      this.labelFilter.clear();
+      this._renderLabelFilter(board);
+      this._applyFilters(board);
     });
+    const manage = bar.querySelector('[data-action="manage"]');
+    manage.hidden = this.data.role === 'viewer';
+    manage.addEventListener('click', () => this._openLabelManager());
   }
 
   /**
-   * Initialize page-specific functionality
+   * Load the workspace's sprints, newest first
    */
-  initPageSpecific() {
-    switch (this.currentPage) {
-      case 'index':
-        this.initIndexTasks();
-        break;
-      case 'inbox':
-        this.initInboxPage();
-        break;
-      case 'tasks':
-        this.initTasksPage();
-        this.updateTasksStatusWidget();
-        break;
-      case 'roadmap':
-        this.initRoadmapPage();
-        break;
-      case 'projects':
-        this.initProjectsPage();
-        break;
-      // Add other pages as needed
-    }
+  async loadSprints() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/sprints`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) this.data.sprints = (await res.json()).map(sp => ({ ...sp, id: String(sp._id) }));
+    } catch (_) {}
   }
 
-  showToast(message, type='success') {
-    let root = document.getElementById('toast-root');
-    if (!root) {
-      root = document.createElement('div');
-      root.id = 'toast-root';
-      root.className = 'toast-container';
-      document.body.appendChild(root);
-    }
-    const el = document.createElement('div');
-    el.className = `toast ${type}`;
-    el.textContent = message;
-    root.appendChild(el);
-    setTimeout(()=>{ el.remove(); }, 2000);
+  _sprint(id) {
+    return (this.data?.sprints || []).find(sp => sp.id === id);
   }
 
-  initIndexTasks() {
-    const board = document.querySelector('.tasks-board');
-    if (board) this._renderBoard(board);
-    this.updateTasksStatusWidget();
-    this.renderRecentActivity();
-    this.setupQuickAdd();
-    this.renderPinnedTasks();
-    this.setupScratchpad();
+  _sprintPoints(sprintId) {
+    const tasks = (this.data?.tasks || []).filter(t => t.sprintId === sprintId);
+    const sum = (list) => list.reduce((a, t) => a + (t.points || 0), 0);
+    return { total: sum(tasks), done: sum(tasks.filter(t => this._isDone(t.status))), count: tasks.length };
   }
 
   /**
-   * Initialize inbox page functionality
+   * Sprint bar above the board: pick all tasks, the backlog or one sprint, with the sprint's goal and progress.
+   * Defaults to the active sprint when there is one.
    */
-  initInboxPage() {
-    if (this.currentPage !== 'inbox') return;
-    
-    // Render notifications
-    this.renderNotifications();
-    
-    // Set up tab switching
-    const tabs = document.querySelectorAll('.inbox-tab');
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        // Remove active class from all tabs
-        tabs.forEach(t => t.classList.remove('active'));
-        // Add active class to clicked tab
-        tab.classList.add('active');
-        
-        // Filter notifications based on tab
-        const filter = tab.textContent.trim().toLowerCase();
-        this.filterNotifications(filter);
-      });
+  _renderSprintBar(board) {
+    const bar = document.getElementById('sprint-bar');
+    if (!bar) return;
+    const sprints = (this.data?.sprints || []).filter(sp => sp.state !== 'closed' || sp.id === this.sprintFilter);
+    if (this.sprintFilter === undefined) this.sprintFilter = sprints.find(sp => sp.state === 'active')?.id || '';
+    if (this.sprintFilter && this.sprintFilter !== 'backlog' && !this._sprint(this.sprintFilter)) this.sprintFilter = '';
+    const current = this._sprint(this.sprintFilter);
+    const points = current ? this._sprintPoints(current.id) : null;
+    bar.innerHTML = `
+      <span class="muted">Sprint</span>
+      <select class="select">
+        <option value="">All tasks</option>
+        <option value="backlog" ${this.sprintFilter === 'backlog' ? 'selected' : ''}>Backlog</option>
+        ${sprints.map(sp => `<option value="${sp.id}" ${sp.id === this.sprintFilter ? 'selected' : ''}>${this._escapeHtml(sp.name)}${sp.state === 'active' ? ' (active)' : ''}</option>`).join('')}
+      </select>
+      ${current ? `
+        <span class="sprint-dates">${new Date(`${current.startDate}T00:00`).toLocaleDateString('en-IN')} – ${new Date(`${current.endDate}T00:00`).toLocaleDateString('en-IN')}</span>
+        <span class="badge points" title="Done / total story points">${points.done} / ${points.total} pts</span>
+        ${current.goal ? `<span class="sprint-goal" title="Sprint goal">${this._escapeHtml(current.goal)}</span>` : ''}` : ''}`;
+    bar.querySelector('select').addEventListener('change', (e) => {
+      this.sprintFilter = e.target.value;
+      this._renderSprintBar(board);
+      this._applyFilters(board);
     });
-    
-    // Set up mark all as read functionality
-    const markAllReadButton = document.querySelector('.mark-all-read');
-    if (markAllReadButton) {
-      markAllReadButton.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.markAllNotificationsAsRead();
-      });
-    }
   }
 
   /**
-   * Render notifications on the inbox page
+   * New sprint list; tasks of deleted sprints were already moved to the backlog by the server
    */
-  renderNotifications() {
-    const notificationsList = document.querySelector('.notifications-list');
-    if (!notificationsList || !this.data?.notifications) return;
-    
-    // Clear existing notifications
-    notificationsList.innerHTML = '';
-    
-    if (this.data.notifications.length === 0) {
-      // Show empty state
-      const emptyState = document.createElement('div');
-      emptyState.className = 'empty-state';
-      emptyState.innerHTML = `
-        <svg viewBox="0 0 24 24" aria-hidden="true">
-          <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H4V8l8 5 8-5v10zm-8-7L4 6h16l-8 5z" fill="currentColor"></path>
-        </svg>
-        <h3>No notifications</h3>
-        <p>You're all caught up!</p>
-      `;
-      notificationsList.appendChild(emptyState);
-      return;
+  applySprintsEvent(sprints) {
+    if (!this.data) return;
+    this.data.sprints = sprints.map(sp => ({ ...sp, id: String(sp._id) }));
+    const board = document.querySelector('.tasks-board');
+    if (board) {
+      this._renderSprintBar(board);
+      this._applyFilters(board);
     }
-    
-    // Render each notification
-    this.data.notifications.forEach(notification => {
-      const notificationItem = document.createElement('div');
-      notificationItem.className = `notification-item${notification.isRead ? '' : ' unread'}`;
-      notificationItem.dataset.id = notification.id;
-      notificationItem.dataset.type = notification.type;
-      
-      notificationItem.innerHTML = `
-        <div class="notification-avatar">${notification.sender.avatar}</div>
-        <div class="notification-content">
-          <div class="notification-header">
-            <span class="notification-sender">${notification.sender.name}</span>
-            <span class="notification-action">${notification.action}</span>
-            ${notification.type ? `<span class="notification-badge">${notification.type}</span>` : ''}
-          </div>
-          <div class="notification-message">
-            ${notification.message}
-          </div>
-          <div class="notification-meta">
-            <div class="notification-info">
-              <span class="notification-time">${notification.time}</span>
-              <span class="notification-project">${notification.project}</span>
-            </div>
-            <div class="notification-actions">
-              <button title="Mark as read">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                  <polyline points="20,6 9,17 4,12"></polyline>
-                </svg>
-              </button>
-              <button title="Delete">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                  <polyline points="3,6 5,6 21,6"></polyline>
-                  <path d="m19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
-                </svg>
-              </button>
-            </div>
+    document.dispatchEvent(new CustomEvent('app:sprints', { detail: { sprints: this.data.sprints } }));
+  }
+
+  /**
+   * Sprint planning dialog: create sprints, move backlog tasks in and out, start and complete sprints
+   */
+  _openSprintPlanner() {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const api = async (path, method, body) => {
+      const res = await fetch(`${base}/api/sprints${path}`, { method, headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: body ? JSON.stringify(body) : undefined });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    };
+    const fail = (err) => this.showToast(err.message || 'Request failed', 'error');
+    const openSprints = () => (this.data.sprints || []).filter(sp => sp.state !== 'closed');
+    let selected = (openSprints().find(sp => sp.state === 'active') || openSprints()[0])?.id || '';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content sprint-planner">
+        <h3>Sprint planning</h3>
+        <form class="sprint-form">
+          <input class="input" name="name" placeholder="Sprint name" maxlength="60" required>
+          <input class="input" name="startDate" type="date" required>
+          <input class="input" name="endDate" type="date" required>
+          <input class="input" name="goal" placeholder="Goal (optional)" maxlength="500">
+          <button type="submit" class="button">Create sprint</button>
+        </form>
+        <div class="sprint-columns">
+          <section>
+            <h4>Backlog <span class="muted backlog-points"></span></h4>
+            <ul class="sprint-list backlog"></ul>
+          </section>
+          <section>
+            <h4><select class="select sprint-select"></select> <span class="muted sprint-points"></span></h4>
+            <p class="muted sprint-summary"></p>
+            <ul class="sprint-list in-sprint"></ul>
+            <div class="sprint-actions"></div>
+          </section>
+        </div>
+        <div class="modal-actions"><button type="button" class="button" data-action="close">Done</button></div>
+      </div>`;
+    document.body.appendChild(modal);
+
+    const item = (task, arrow) => `
+      <li data-id="${task.id}">
+        <span class="sprint-task-title">${this._escapeHtml(task.title)}</span>
+        <span class="badge points">${task.points ?? '–'}</span>
+        <button type="button" class="button" title="${arrow === '→' ? 'Add to sprint' : 'Back to backlog'}">${arrow}</button>
+      </li>`;
+    const render = () => {
+      const sprints = openSprints();
+      if (!sprints.some(sp => sp.id === selected)) selected = sprints[0]?.id || '';
+      const sprint = this._sprint(selected);
+      const select = modal.querySelector('.sprint-select');
+      select.innerHTML = sprints.length
+        ? sprints.map(sp => `<option value="${sp.id}" ${sp.id === selected ? 'selected' : ''}>${this._escapeHtml(sp.name)}${sp.state === 'active' ? ' (active)' : ''}</option>`).join('')
+        : '<option value="">No open sprints</option>';
+      const backlog = (this.data.tasks || []).filter(t => !t.sprintId && !this._isDone(t.status) && !t.parentId);
+      const inSprint = sprint ? (this.data.tasks || []).filter(t => t.sprintId === sprint.id) : [];
+      const sum = (list) => list.reduce((a, t) => a + (t.points || 0), 0);
+      modal.querySelector('.backlog-points').textContent = `${backlog.length} tasks • ${sum(backlog)} pts`;
+      modal.querySelector('.sprint-points').textContent = sprint ? `${inSprint.length} tasks • ${sum(inSprint)} pts` : '';
+      modal.querySelector('.sprint-summary').textContent = sprint
+        ? `${sprint.startDate} → ${sprint.endDate}${sprint.goal ? ` • ${sprint.goal}` : ''}`
+        : 'Create a sprint to start planning.';
+      modal.querySelector('.backlog').innerHTML = backlog.map(t => item(t, '→')).join('') || '<li class="muted">Backlog is empty</li>';
+      modal.querySelector('.in-sprint').innerHTML = inSprint.map(t => item(t, '←')).join('') || (sprint ? '<li class="muted">Move tasks in from the backlog</li>' : '');
+      modal.querySelectorAll('.backlog button').forEach(btn => btn.disabled = !sprint);
+      const actions = modal.querySelector('.sprint-actions');
+      actions.innerHTML = '';
+      if (sprint?.state === 'planned') actions.innerHTML = '<button type="button" class="button button-primary" data-action="start">Start sprint</button>';
+      if (sprint?.state === 'active') actions.innerHTML = '<button type="button" class="button button-primary" data-action="complete">Complete sprint</button>';
+    };
+
+    const move = async (taskId, into) => {
+      try {
+        const moved = await api(`/${selected}/tasks`, 'POST', into ? { add: [taskId] } : { remove: [taskId] });
+        moved.forEach(t => {
+          const local = (this.data.tasks || []).find(x => String(x.id) === String(t._id));
+          if (local) Object.assign(local, this._mapTask(t));
+        });
+        render();
+        const board = document.querySelector('.tasks-board');
+        if (board) {
+          this._renderSprintBar(board);
+          this._applyFilters(board);
+        }
+      } catch (err) { fail(err); }
+    };
+    modal.querySelector('.backlog').addEventListener('click', (e) => {
+      const li = e.target.closest('button') && e.target.closest('li[data-id]');
+      if (li) move(li.dataset.id, true);
+    });
+    modal.querySelector('.in-sprint').addEventListener('click', (e) => {
+      const li = e.target.closest('button') && e.target.closest('li[data-id]');
+      if (li) move(li.dataset.id, false);
+    });
+    modal.querySelector('.sprint-select').addEventListener('change', (e) => { selected = e.target.value; render(); });
+    modal.querySelector('.sprint-actions').addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      if (!action) return;
+      try {
+        if (action === 'start') {
+          await api(`/${selected}`, 'PATCH', { state: 'active' });
+        } else {
+          // Unfinished tasks carry over to the next planned sprint, or back to the backlog
+          const next = openSprints().find(sp => sp.state === 'planned');
+          const target = next ? `"${next.name}"` : 'the backlog';
+          if (!confirm(`Complete this sprint? Unfinished tasks will move to ${target}.`)) return;
+          await api(`/${selected}`, 'PATCH', { state: 'closed', carryOverTo: next?.id || null });
+          await this.loadTasksFromAPI();
+        }
+        this.applySprintsEvent(await api('', 'GET'));
+        const board = document.querySelector('.tasks-board');
+        if (board) this._renderBoard(board);
+        render();
+      } catch (err) { fail(err); }
+    });
+    modal.querySelector('.sprint-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const form = e.target;
+      try {
+        const sprint = await api('', 'POST', {
+          name: form.name.value,
+          startDate: form.startDate.value,
+          endDate: form.endDate.value,
+          goal: form.goal.value
+        });
+        form.reset();
+        selected = String(sprint._id);
+        this.applySprintsEvent(await api('', 'GET'));
+      } catch (err) { fail(err); }
+    });
+    const onSprints = () => render();
+    document.addEventListener('app:sprints', onSprints);
+    const close = () => { document.removeEventListener('app:sprints', onSprints); modal.remove(); };
+    modal.querySelector('[data-action="close"]').addEventListener('click', close);
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+    render();
+  }
+
+  /**
+   * Import/export dialog. Exports download as CSV or JSON; imports are dry-run first so the
+   * column (CSV) or list (Trello) mapping can be adjusted until the preview shows no errors.
+   */
+  _openImportExport(board) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const auth = token ? { Authorization: `Bearer ${token}` } : {};
+    const fail = (err) => this.showToast(err.message || 'Request failed', 'error');
+    const fields = { title: 'Title', status: 'Status', priority: 'Priority', assignee: 'Assignee', deadline: 'Deadline', labels: 'Labels', points: 'Points', starred: 'Starred' };
+    let source = null;
+    let report = null;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content import-export">
+        <h3>Import / Export</h3>
+        <section>
+          <h4>Export</h4>
+          <div class="export-row">
+            <select class="select export-format">
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+            <label><input type="checkbox" class="export-mine"> Only my tasks</label>
+            <label><input type="checkbox" class="export-archived"> Include archived</label>
+            <button type="button" class="button" data-action="export">Download</button>
           </div>
+        </section>
+        <section class="import-section" ${this.data.role === 'viewer' ? 'hidden' : ''}>
+          <h4>Import</h4>
+          <p class="muted">A CSV file, a TaskMaster JSON export or a Trello board export (Menu → Print, export and share → Export as JSON).</p>
+          <input type="file" class="input import-file" accept=".csv,.json,text/csv,application/json">
+          <div class="import-mapping"></div>
+          <p class="import-summary muted"></p>
+          <ul class="import-errors"></ul>
+          <div class="import-preview"></div>
+        </section>
+        <div class="modal-actions">
+          <button type="button" class="button" data-action="close">Close</button>
+          <button type="button" class="button button-primary" data-action="import" hidden>Import</button>
         </div>
-      `;
-      
-      // Add event listeners for notification actions
-      const readButton = notificationItem.querySelector('button[title="Mark as read"]');
-      if (readButton) {
-        readButton.addEventListener('click', () => {
-          this.markNotificationAsRead(notification.id);
+      </div>`;
+    document.body.appendChild(modal);
+
+    const run = async (dryRun) => {
+      const body = { ...source, dryRun, skipInvalid: !dryRun };
+      if (report?.mapping && source.format === 'csv') body.mapping = report.mapping;
+      if (report?.lists && source.format === 'trello') body.statusMap = Object.fromEntries(report.lists.map(l => [l.id, l.status]));
+      const res = await fetch(`${base}/api/tasks/import`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...auth }, body: JSON.stringify(body) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok && !data.errors) throw new Error(data.error || 'Import failed');
+      return data;
+    };
+
+    const renderMapping = () => {
+      const panel = modal.querySelector('.import-mapping');
+      panel.innerHTML = '';
+      const columns = this._boardColumns();
+      if (report.columns) {
+        panel.innerHTML = Object.entries(fields).map(([field, name]) => `
+          <label>${name}<select class="select" data-field="${field}"><option value="">(skip)</option></select></label>`).join('');
+        panel.querySelectorAll('select').forEach(sel => {
+          report.columns.forEach(c => sel.add(new Option(c, c, false, report.mapping[sel.dataset.field] === c)));
+        });
+      } else if (report.lists) {
+        panel.innerHTML = report.lists.map((l, i) => `
+          <label><span>${this._escapeHtml(l.name)} →</span><select class="select" data-list="${i}"></select></label>`).join('');
+        panel.querySelectorAll('select').forEach(sel => {
+          const list = report.lists[Number(sel.dataset.list)];
+          columns.forEach(c => sel.add(new Option(c.name, c.id, false, c.id === list.status)));
         });
       }
-      
-      const deleteButton = notificationItem.querySelector('button[title="Delete"]');
-      if (deleteButton) {
-        deleteButton.addEventListener('click', () => {
-          this.deleteNotification(notification.id);
+      panel.querySelectorAll('select').forEach(sel => sel.addEventListener('change', () => {
+        if (sel.dataset.field) {
+          if (sel.value) report.mapping[sel.dataset.field] = sel.value;
+          else delete report.mapping[sel.dataset.field];
+        } else {
+          report.lists[Number(sel.dataset.list)].status = sel.value;
+        }
+        preview();
+      }));
+    };
+
+    const renderReport = () => {
+      const errors = report.errors || [];
+      modal.querySelector('.import-summary').textContent = `${report.valid} of ${report.total} tasks ready to import`
+        + (errors.length ? ` • ${errors.length} with errors will be skipped` : '')
+        + (report.newLabels?.length ? ` • new labels: ${report.newLabels.join(', ')}` : '');
+      modal.querySelector('.import-errors').innerHTML = errors.map(e => `
+        <li>${e.row ? `Row ${e.row}${e.title ? ` (${this._escapeHtml(e.title)})` : ''}: ` : ''}${e.errors.map(m => this._escapeHtml(m)).join('; ')}</li>`).join('');
+      const statusName = (id) => this._boardColumns().find(c => c.id === id)?.name || id;
+      modal.querySelector('.import-preview').innerHTML = report.preview?.length ? `
+        <table class="import-table">
+          <thead><tr><th>Title</th><th>Status</th><th>Priority</th><th>Assignee</th><th>Deadline</th><th>Labels</th></tr></thead>
+          <tbody>${report.preview.map(t => `
+            <tr>
+              <td>${this._escapeHtml(t.title)}</td>
+              <td>${this._escapeHtml(statusName(t.status))}</td>
+              <td>${t.priority}</td>
+              <td>${this._escapeHtml(t.assignee)}</td>
+              <td>${t.deadline ? new Date(t.deadline).toLocaleDateString() : ''}</td>
+              <td>${t.labels.map(l => this._escapeHtml(l)).join(', ')}</td>
+            </tr>`).join('')}</tbody>
+        </table>
+        ${report.valid > report.preview.length ? `<p class="muted">…and ${report.valid - report.preview.length} more</p>` : ''}` : '';
+      const blocked = errors.some(e => !e.row);
+      modal.querySelector('[data-action="import"]').hidden = !report.valid || blocked;
+    };
+
+    const preview = async () => {
+      try {
+        report = await run(true);
+        renderMapping();
+        renderReport();
+      } catch (err) { fail(err); }
+    };
+
+    modal.querySelector('.import-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      report = null;
+      if (!file) return;
+      try {
+        const text = await file.text();
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+          source = { format: 'csv', content: text };
+        } else {
+          const json = JSON.parse(text);
+          source = Array.isArray(json?.lists) && Array.isArray(json?.cards)
+            ? { format: 'trello', content: json }
+            : { format: 'json', content: json };
+        }
+      } catch (_) {
+        source = null;
+        return this.showToast('That file is not valid CSV or JSON', 'error');
+      }
+      preview();
+    });
+
+    modal.querySelector('[data-action="import"]').addEventListener('click', async (e) => {
+      const skipped = report.errors.length ? ` ${report.errors.length} rows with errors will be skipped.` : '';
+      if (!confirm(`Import ${report.valid} tasks?${skipped}`)) return;
+      e.target.disabled = true;
+      try {
+        const result = await run(false);
+        if (!result.imported && result.error) throw new Error(result.error);
+        await this.loadLabels();
+        await this.loadTasksFromAPI();
+        this._renderLabelFilter(board);
+        this._renderBoard(board);
+        this.showToast(`Imported ${result.imported} tasks`, 'success');
+        close();
+      } catch (err) {
+        e.target.disabled = false;
+        fail(err);
+      }
+    });
+
+    modal.querySelector('[data-action="export"]').addEventListener('click', async () => {
+      const format = modal.querySelector('.export-format').value;
+      const mine = modal.querySelector('.export-mine').checked ? '&mine=1' : '';
+      const archived = modal.querySelector('.export-archived').checked ? '&archived=include' : '';
+      try {
+        const res = await fetch(`${base}/api/tasks/export?format=${format}${mine}${archived}`, { headers: auth });
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Export failed');
+        const name = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `tasks.${format}`;
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (err) { fail(err); }
+    });
+
+    const close = () => modal.remove();
+    modal.querySelector('[data-action="close"]').addEventListener('click', close);
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  /**
+   * Board/table switch on the tasks page; the choice is remembered per browser
+   */
+  _setupTaskViews(board) {
+    const table = document.getElementById('tasks-table');
+    const segments = document.querySelectorAll('#view-toggle .segment');
+    if (!table || !segments.length) return;
+    const show = (view) => {
+      this.taskView = view;
+      localStorage.setItem('tasksView', view);
+      segments.forEach(b => b.classList.toggle('active', b.dataset.view === view));
+      board.hidden = view === 'table';
+      table.hidden = view !== 'table';
+      this._renderTable();
+    };
+    segments.forEach(btn => btn.addEventListener('click', () => show(btn.dataset.view)));
+    show(localStorage.getItem('tasksView') === 'table' ? 'table' : 'board');
+  }
+
+  /**
+   * Columns of the table view. Title is always shown; the rest can be hidden.
+   */
+  _tableColumns() {
+    return [
+      { id: 'title', name: 'Title', fixed: true, value: t => t.title.toLowerCase() },
+      { id: 'status', name: 'Status', value: t => this._boardColumns().findIndex(c => c.id === t.status) },
+      { id: 'priority', name: 'Priority', value: t => ['High', 'Medium', 'Low'].indexOf(t.priority) },
+      { id: 'assignee', name: 'Assignee', value: t => (t.assignee || '').toLowerCase() },
+      { id: 'deadline', name: 'Deadline', value: t => (t.deadline ? new Date(t.deadline).getTime() : null) },
+      { id: 'createdAt', name: 'Created', value: t => new Date(t.createdAt).getTime() }
+    ];
+  }
+
+  /**
+   * Sortable table of the filtered tasks with inline editing and bulk actions for the selected rows
+   */
+  _renderTable() {
+    const root = document.getElementById('tasks-table');
+    if (!root || this.taskView !== 'table') return;
+    if (!this.tableSort) this.tableSort = { field: 'createdAt', dir: -1 };
+    if (!this.tableSelection) this.tableSelection = new Set();
+    let hiddenColumns = [];
+    try { hiddenColumns = JSON.parse(localStorage.getItem('taskTableHidden') || '[]'); } catch (_) {}
+    const columns = this._tableColumns();
+    const visible = columns.filter(c => c.fixed || !hiddenColumns.includes(c.id));
+    const editable = this.data.role !== 'viewer';
+
+    const sortBy = columns.find(c => c.id === this.tableSort.field) || columns[0];
+    const { dir } = this.tableSort;
+    const tasks = (this.data?.tasks || []).filter(t => this._matchesFilters(t)).sort((a, b) => {
+      const x = sortBy.value(a);
+      const y = sortBy.value(b);
+      // Empty values stay at the bottom whichever way the column is sorted
+      if (x === null || y === null) return x === y ? 0 : (x === null ? 1 : -1);
+      return (x < y ? -1 : x > y ? 1 : 0) * dir;
+    });
+    const shown = new Set(tasks.map(t => String(t.id)));
+    this.tableSelection.forEach(id => { if (!shown.has(id)) this.tableSelection.delete(id); });
+    const selected = this.tableSelection;
+
+    // Keep the cell being edited focused across re-renders from live events
+    const focused = root.contains(document.activeElement) ? document.activeElement : null;
+    const refocus = focused?.dataset.field ? { id: focused.closest('tr')?.dataset.id, field: focused.dataset.field } : null;
+
+    const localInput = (iso) => {
+      if (!iso) return '';
+      const d = new Date(iso);
+      return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+    const statusOptions = (current) => this._boardColumns().map(c => `<option value="${c.id}" ${c.id === current ? 'selected' : ''}>${this._escapeHtml(c.name)}</option>`).join('');
+    const priorityOptions = (current) => ['High', 'Medium', 'Low'].map(p => `<option ${p === current ? 'selected' : ''}>${p}</option>`).join('');
+    const cell = (task, col) => {
+      const disabled = editable ? '' : 'disabled';
+      switch (col.id) {
+        case 'title': return `<input class="cell-input" data-field="title" value="${this._escapeHtml(task.title)}" ${disabled}>`;
+        case 'status': return `<select class="cell-input" data-field="status" ${disabled}>${statusOptions(task.status)}</select>`;
+        case 'priority': return `<select class="cell-input priority-${task.priority.toLowerCase()}" data-field="priority" ${disabled}>${priorityOptions(task.priority)}</select>`;
+        case 'assignee': return `<input class="cell-input" data-field="assignee" value="${this._escapeHtml(task.assignee)}" placeholder="Unassigned" ${disabled}>`;
+        case 'deadline': return `<input class="cell-input" type="datetime-local" data-field="deadline" value="${localInput(task.deadline)}" ${disabled}>`;
+        default: return `<span class="muted">${new Date(task.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}</span>`;
+      }
+    };
+
+    root.innerHTML = `
+      <div class="table-toolbar">
+        <div class="bulk-bar" ${selected.size && editable ? '' : 'hidden'}>
+          <strong>${selected.size} selected</strong>
+          <select class="select" data-bulk="status"><option value="">Move to…</option>${statusOptions(null)}</select>
+          <select class="select" data-bulk="priority"><option value="">Priority…</option>${priorityOptions(null)}</select>
+          <input class="input" data-bulk="assignee" placeholder="Assign to…">
+          <button type="button" class="button" data-action="assign">Assign</button>
+          <button type="button" class="button danger" data-action="delete">Delete</button>
+          <button type="button" class="button" data-action="clear">Clear</button>
+        </div>
+        <details class="table-columns">
+          <summary class="button">Columns</summary>
+          <div class="table-columns-menu">
+            ${columns.filter(c => !c.fixed).map(c => `<label><input type="checkbox" value="${c.id}" ${hiddenColumns.includes(c.id) ? '' : 'checked'}> ${c.name}</label>`).join('')}
+          </div>
+        </details>
+      </div>
+      <table class="task-table">
+        <thead>
+          <tr>
+            <th class="select-cell">${editable ? `<input type="checkbox" data-action="select-all" ${tasks.length && selected.size === tasks.length ? 'checked' : ''}>` : ''}</th>
+            ${visible.map(c => `<th data-sort="${c.id}" class="${c.id === sortBy.id ? 'sorted' : ''}">${c.name}${c.id === sortBy.id ? (dir === 1 ? ' ▲' : ' ▼') : ''}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${tasks.map(t => `
+            <tr data-id="${t.id}" class="${selected.has(String(t.id)) ? 'selected' : ''}" style="--status-color:${this._column(t.status)?.color || '#94A3B8'}">
+              <td class="select-cell">${editable ? `<input type="checkbox" data-action="select" ${selected.has(String(t.id)) ? 'checked' : ''}>` : ''}</td>
+              ${visible.map(c => `<td data-column="${c.id}">${cell(t, c)}</td>`).join('')}
+            </tr>`).join('') || `<tr><td colspan="${visible.length + 1}" class="muted">No tasks match the current filters</td></tr>`}
+        </tbody>
+      </table>`;
+
+    if (refocus) root.querySelector(`tr[data-id="${refocus.id}"] [data-field="${refocus.field}"]`)?.focus();
+
+    root.querySelectorAll('th[data-sort]').forEach(th => th.addEventListener('click', () => {
+      const field = th.dataset.sort;
+      this.tableSort = { field, dir: this.tableSort.field === field ? -this.tableSort.dir : 1 };
+      this._renderTable();
+    }));
+    root.querySelectorAll('.table-columns-menu input').forEach(box => box.addEventListener('change', () => {
+      const hidden = Array.from(root.querySelectorAll('.table-columns-menu input:not(:checked)')).map(b => b.value);
+      localStorage.setItem('taskTableHidden', JSON.stringify(hidden));
+      this._renderTable();
+      root.querySelector('.table-columns').open = true;
+    }));
+    root.querySelector('[data-action="select-all"]')?.addEventListener('change', (e) => {
+      if (e.target.checked) tasks.forEach(t => selected.add(String(t.id)));
+      else selected.clear();
+      this._renderTable();
+    });
+    root.querySelectorAll('[data-action="select"]').forEach(box => box.addEventListener('change', () => {
+      const id = box.closest('tr').dataset.id;
+      if (box.checked) selected.add(id);
+      else selected.delete(id);
+      this._renderTable();
+    }));
+
+    // Inline edits save when the cell changes; a refused change puts the old value back
+    root.querySelectorAll('tbody [data-field]').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') input.blur();
+        if (e.key === 'Escape') this._renderTable();
+      });
+      input.addEventListener('change', async () => {
+        const id = input.closest('tr').dataset.id;
+        const task = (this.data?.tasks || []).find(t => String(t.id) === id);
+        if (!task) return;
+        const field = input.dataset.field;
+        let value = field === 'title' || field === 'assignee' ? input.value.trim() : input.value;
+        if (field === 'title' && !value) return this._renderTable();
+        if (field === 'deadline') value = value ? new Date(value).toISOString() : null;
+        const before = this._taskFields(task, [field]);
+        const result = await this._patchTask(id, { [field]: value });
+        if (result.ok) {
+          Object.assign(task, this._mapTask(result.data));
+          this._recordChange(`Updated "${task.title}"`, [{ id, body: before }], [{ id, body: this._taskFields(task, [field]) }]);
+          const board = document.querySelector('.tasks-board');
+          if (board) this._renderBoard(board);
+          this.updateTasksStatusWidget();
+          this.renderPinnedTasks();
+        } else {
+          this.showToast(result.data?.error || 'Could not update task', 'error');
+          this._renderTable();
+        }
+      });
+    });
+
+    const bulk = async (body, done) => {
+      const ids = Array.from(selected);
+      const fields = Object.keys(body.changes || {});
+      const before = ids.map(id => (this.data?.tasks || []).find(t => String(t.id) === id)).filter(Boolean).map(t => ({ id: t.id, body: this._taskFields(t, fields) }));
+      const result = await this._bulkTasks({ ids, ...body });
+      if (result.ok) {
+        if (body.delete) ids.forEach(id => this.applyTaskEvent('task.deleted', { _id: id }));
+        else result.data.tasks.forEach(t => this.applyTaskEvent('task.updated', t));
+        selected.clear();
+        // Each task gets its own value back, so undo is one PATCH per task
+        if (body.delete) this.showToast(done(ids.length), 'success', { action: { label: 'Undo', onClick: () => this._restoreTasks(ids) } });
+        else this._recordChange(done(ids.length), before, ids.map(id => ({ id, body: body.changes })));
+        this._renderTable();
+        return;
+      }
+      const failed = (result.data?.results || []).filter(r => !r.ok);
+      const title = (id) => (this.data?.tasks || []).find(t => String(t.id) === String(id))?.title || id;
+      const reasons = failed.slice(0, 3).map(r => `${title(r.id)}: ${r.error}`).join('; ');
+      this.showToast(`${result.data?.error || 'Bulk update failed'}${reasons ? ` (${reasons}${failed.length > 3 ? '; …' : ''})` : ''}`, 'error');
+      this._renderTable();
+    };
+    root.querySelector('[data-bulk="status"]').addEventListener('change', (e) => {
+      if (e.target.value) bulk({ changes: { status: e.target.value } }, n => `Moved ${n} tasks to ${this._statusLabel(e.target.value)}`);
+    });
+    root.querySelector('[data-bulk="priority"]').addEventListener('change', (e) => {
+      if (e.target.value) bulk({ changes: { priority: e.target.value } }, n => `Set ${n} tasks to ${e.target.value} priority`);
+    });
+    root.querySelector('[data-action="assign"]').addEventListener('click', () => {
+      const assignee = root.querySelector('[data-bulk="assignee"]').value.trim();
+      bulk({ changes: { assignee } }, n => (assignee ? `Assigned ${n} tasks to ${assignee}` : `Unassigned ${n} tasks`));
+    });
+    root.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      if (!confirm(`Move ${selected.size} tasks to the trash?`)) return;
+      bulk({ delete: true }, n => `Moved ${n} tasks to the trash`);
+    });
+    root.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      selected.clear();
+      this._renderTable();
+    });
+  }
+
+  /**
+   * PATCH /api/tasks/bulk. When only WIP limits stand in the way, offer to override them.
+   * Resolves to { ok, data }.
+   */
+  async _bulkTasks(body) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const send = async (payload) => {
+      const res = await fetch(`${base}/api/tasks/bulk`, { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: JSON.stringify(payload) });
+      let data = null;
+      try { data = await res.json(); } catch (_) {}
+      return { ok: res.ok, status: res.status, data };
+    };
+    let result = await send(body);
+    const wipOnly = result.data?.wip && (result.data.results || []).every(r => r.ok || /WIP limit/.test(r.error));
+    if (result.status === 409 && wipOnly && confirm(`${this._statusLabel(result.data.wip.status)} has ${result.data.wip.count} of ${result.data.wip.limit} tasks.\n\nMove them anyway? The override is recorded in the task history.`)) {
+      result = await send({ ...body, overrideWip: true });
+    }
+    return result;
+  }
+
+  /**
+   * Move tasks to the trash, with an Undo button on the toast
+   */
+  async _trashTasks(ids) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const trashed = [];
+    for (const id of ids) {
+      const res = await fetch(`${base}/api/tasks/${id}`, { method: 'DELETE', headers: token ? { Authorization: `Bearer ${token}` } : {} }).catch(() => null);
+      if (res?.ok) {
+        trashed.push(id);
+        this.applyTaskEvent('task.deleted', { _id: id });
+      }
+    }
+    if (!trashed.length) return this.showToast('Could not delete task', 'error');
+    this.showToast(`${trashed.length === 1 ? 'Task' : `${trashed.length} tasks`} moved to the trash`, 'success', { action: { label: 'Undo', onClick: () => this._restoreTasks(trashed) } });
+  }
+
+  /**
+   * Bring tasks back from the trash
+   */
+  async _restoreTasks(ids) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    let failed = 0;
+    for (const id of ids) {
+      const res = await fetch(`${base}/api/tasks/${id}/restore`, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {} }).catch(() => null);
+      if (res?.ok) this.applyTaskEvent('task.created', await res.json());
+      else failed++;
+    }
+    if (failed) this.showToast(`Could not restore ${failed === 1 ? 'the task' : `${failed} tasks`}`, 'error');
+    else this.showToast(ids.length === 1 ? 'Task restored' : `${ids.length} tasks restored`, 'success');
+  }
+
+  /**
+   * Take a task off the board into the archive, with an Undo button on the toast
+   */
+  async _archiveTask(id) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const res = await fetch(`${base}/api/tasks/${id}/archive`, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {} }).catch(() => null);
+    if (!res?.ok) return this.showToast('Could not archive task', 'error');
+    this.applyTaskEvent('task.updated', await res.json());
+    this.showToast('Task archived', 'success', { action: { label: 'Undo', onClick: () => this._unarchiveTask(id) } });
+  }
+
+  /**
+   * Bring an archived task back to the bottom of its column. Resolves to true when it worked.
+   */
+  async _unarchiveTask(id) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const res = await fetch(`${base}/api/tasks/${id}/unarchive`, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {} }).catch(() => null);
+    if (!res?.ok) {
+      this.showToast('Could not unarchive task', 'error');
+      return false;
+    }
+    this.applyTaskEvent('task.updated', await res.json());
+    this.showToast('Task back on the board', 'success');
+    return true;
+  }
+
+  /**
+   * Trash dialog: restore deleted tasks or delete them for good. Admins can purge anything,
+   * members only what they deleted themselves.
+   */
+  _openTrash() {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const api = async (path, method) => {
+      const res = await fetch(`${base}/api${path}`, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    };
+    const fail = (err) => this.showToast(err.message || 'Request failed', 'error');
+    const admin = ['admin', 'owner'].includes(this.data.role);
+    const canEdit = this.data.role !== 'viewer';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content trash">
+        <h3>Trash</h3>
+        <p class="muted trash-note"></p>
+        <ul class="trash-list"></ul>
+        <div class="modal-actions">
+          ${admin ? '<button type="button" class="button danger" data-action="empty">Empty trash</button>' : ''}
+          <button type="button" class="button button-primary" data-action="close">Done</button>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+    const list = modal.querySelector('.trash-list');
+
+    const load = async () => {
+      let tasks;
+      try { tasks = await api('/trash', 'GET'); } catch (err) { return fail(err); }
+      const days = (ms) => Math.max(0, Math.ceil((ms - Date.now()) / 86400000));
+      modal.querySelector('.trash-note').textContent = tasks.length
+        ? 'Deleted tasks are kept for a while, then removed for good.'
+        : '';
+      list.innerHTML = tasks.map(t => {
+        const purgeable = canEdit && (admin || String(t.deletedBy) === String(this.data.user?.id));
+        return `
+          <li data-id="${t._id}">
+            <div class="trash-info">
+              <span class="trash-title">${this._escapeHtml(t.title)}</span>
+              <span class="muted">${this._escapeHtml(this._statusLabel(t.status))} • deleted by ${this._escapeHtml(t.deletedByName)} ${this._timeAgo(t.deletedAt)} • removed in ${days(t.purgeAt)} days</span>
+            </div>
+            ${canEdit ? '<button type="button" class="button" data-action="restore">Restore</button>' : ''}
+            ${purgeable ? '<button type="button" class="button danger" data-action="purge">Delete forever</button>' : ''}
+          </li>`;
+      }).join('') || '<li class="muted">The trash is empty</li>';
+      const empty = modal.querySelector('[data-action="empty"]');
+      if (empty) empty.disabled = !tasks.length;
+    };
+
+    list.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      const id = e.target.closest('li[data-id]')?.dataset.id;
+      if (!action || !id) return;
+      try {
+        if (action === 'restore') {
+          await this._restoreTasks([id]);
+        } else {
+          if (!confirm('Delete this task permanently? Its comments, time and attachments go with it.')) return;
+          await api(`/trash/${id}`, 'DELETE');
+        }
+        load();
+      } catch (err) { fail(err); }
+    });
+    modal.querySelector('[data-action="empty"]')?.addEventListener('click', async () => {
+      if (!confirm('Permanently delete everything in the trash?')) return;
+      try {
+        const { purged } = await api('/trash', 'DELETE');
+        this.showToast(`${purged} tasks permanently deleted`, 'success');
+        load();
+      } catch (err) { fail(err); }
+    });
+    // Deletes and restores elsewhere change the trash too
+    const onTask = (e) => { if (e.detail.type !== 'task.updated') load(); };
+    document.addEventListener('app:task', onTask);
+    const close = () => { document.removeEventListener('app:task', onTask); modal.remove(); };
+    modal.querySelector('[data-action="close"]').addEventListener('click', close);
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+    load();
+  }
+
+  // Filtered-out cards stay in the DOM, hidden, so column counts and WIP limits still see them
+  _applyFilters(board) {
+    board.querySelectorAll('.kanban-card').forEach(card => {
+      const task = (this.data?.tasks || []).find(t => String(t.id) === card.dataset.id);
+      card.hidden = Boolean(task) && !this._matchesFilters(task);
+    });
+    this._renderTable();
+  }
+
+  /**
+   * Dialog to create, rename, recolour and delete the workspace's labels. Each change saves at once.
+   */
+  _openLabelManager() {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const api = async (path, method, body) => {
+      const res = await fetch(`${base}/api/labels${path}`, { method, headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: body ? JSON.stringify(body) : undefined });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    };
+    const fail = (err) => this.showToast(err.message || 'Request failed', 'error');
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h3>Labels</h3>
+        <ul class="label-manager"></ul>
+        <form class="label-form">
+          <input class="input" placeholder="New label" maxlength="30">
+          <input type="color" value="#6366F1" title="Colour">
+          <button type="submit" class="button button-primary">Add</button>
+        </form>
+        <div class="modal-actions"><button type="button" class="button" data-action="close">Done</button></div>
+      </div>`;
+    document.body.appendChild(modal);
+    const list = modal.querySelector('.label-manager');
+    const render = () => {
+      list.innerHTML = '';
+      (this.data.labels || []).forEach(l => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+          <input class="input" value="${this._escapeHtml(l.name)}" maxlength="30">
+          <input type="color" value="${l.color}" title="Colour">
+          <span class="subitem-actions"><button type="button" title="Delete">✕</button></span>`;
+        const [nameInput, colorInput] = li.querySelectorAll('input');
+        const save = () => api(`/${l.id}`, 'PATCH', { name: nameInput.value, color: colorInput.value })
+          .then(label => this.applyLabelsEvent((this.data.labels || []).map(x => (x.id === l.id ? label : x))))
+          .catch(fail);
+        nameInput.addEventListener('change', save);
+        colorInput.addEventListener('change', save);
+        li.querySelector('button').addEventListener('click', () => {
+          if (!confirm(`Delete the label "${l.name}"? It will be removed from every task.`)) return;
+          api(`/${l.id}`, 'DELETE')
+            .then(() => this.applyLabelsEvent((this.data.labels || []).filter(x => x.id !== l.id)))
+            .then(render)
+            .catch(fail);
         });
+        list.appendChild(li);
+      });
+    };
+    render();
+    modal.querySelector('.label-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const [nameInput, colorInput] = e.target.querySelectorAll('input');
+      const name = nameInput.value.trim();
+      if (!name) return;
+      api('', 'POST', { name, color: colorInput.value })
+        .then(label => {
+          nameInput.value = '';
+          this.applyLabelsEvent([...(this.data.labels || []).filter(x => x.id !== String(label.id)), label]);
+          render();
+        })
+        .catch(fail);
+    });
+    modal.querySelector('[data-action="close"]').addEventListener('click', () => modal.remove());
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  _boardColumns() {
+    return this.data?.board?.columns || [
+      { id: 'backlog', name: 'Backlog', color: '#EF4444', done: false },
+      { id: 'in-progress', name: 'In Progress', color: '#60A5FA', done: false },
+      { id: 'review', name: 'Review', color: '#A78BFA', done: false },
+      { id: 'done', name: 'Done', color: '#22C55E', done: true }
+    ];
+  }
+
+  _column(status) {
+    return this._boardColumns().find(c => c.id === status) || null;
+  }
+
+  _isDone(status) {
+    return Boolean(this._column(status)?.done);
+  }
+
+  _firstStatus() {
+    return this._boardColumns()[0].id;
+  }
+
+  _doneStatus() {
+    return (this._boardColumns().find(c => c.done) || {}).id;
+  }
+
+  /**
+   * Whether the board's transition rules allow a move; columns without rules allow any move
+   */
+  _canMove(from, to) {
+    const transitions = this.data?.board?.transitions;
+    if (from === to || !transitions || !transitions[from]) return true;
+    return transitions[from].includes(to);
+  }
+
+  /**
+   * Load the user's workspaces, the active one and pending invites
+   */
+  async loadWorkspaces() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const [wsRes, invRes] = await Promise.all([
+        fetch(`${base}/api/workspaces`, { headers }),
+        fetch(`${base}/api/invites`, { headers })
+      ]);
+      if (wsRes.ok) {
+        const { activeId, workspaces } = await wsRes.json();
+        this.data.workspaces = workspaces;
+        this.data.activeWorkspaceId = activeId;
+        this.data.role = (workspaces.find(w => String(w.id) === String(activeId)) || {}).role || 'member';
       }
-      
-      notificationsList.appendChild(notificationItem);
+      if (invRes.ok) this.data.invites = await invRes.json();
+    } catch (_) {}
+  }
+
+  /**
+   * Set up theme toggle functionality
+   */
+  setupThemeToggle() {
+    const themeToggle = document.getElementById('theme-toggle');
+    if (!themeToggle) return;
+
+    // Check for saved theme preference or system preference
+    const savedTheme = localStorage.getItem('theme');
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const shouldDark = savedTheme ? savedTheme === 'dark' : prefersDark;
+    document.documentElement.classList.toggle('dark-theme', shouldDark);
+    document.body.classList.toggle('dark-theme', shouldDark);
+    themeToggle.checked = shouldDark;
+
+    // Handle theme toggle
+    themeToggle.addEventListener('change', () => {
+      const enable = themeToggle.checked;
+      document.documentElement.classList.toggle('dark-theme', enable);
+      document.body.classList.toggle('dark-theme', enable);
+      localStorage.setItem('theme', enable ? 'dark' : 'light');
+    });
+  }
+
+  /**
+   * Set up sidebar functionality
+   */
+  setupSidebar() {
+    // Highlight active nav link
+    const currentPath = window.location.pathname;
+    const navLinks = document.querySelectorAll('.nav-link, .section-link');
+    
+    navLinks.forEach(link => {
+      const href = link.getAttribute('href');
+      if (href && (currentPath.endsWith(href) || (currentPath === '/' && href === 'index.html'))) {
+        link.classList.add('active');
+      }
+    });
+
+    const newTaskButtons = Array.from(document.querySelectorAll('.button.button-primary'))
+      .filter(b => b.textContent.trim() === '+ New Task');
+    newTaskButtons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (this.currentPage === 'tasks') {
+          this.openTaskModal();
+        } else {
+          window.location.href = 'tasks.html#new';
+        }
+      });
     });
+
+    // Logout action
+    const profileRow = document.getElementById('profile-row');
+    const profileMenu = document.getElementById('profile-menu');
+    const logoutAction = document.getElementById('logout-action');
+    if (profileRow && profileMenu) {
+      profileRow.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const open = profileMenu.style.display === 'block';
+        profileMenu.style.display = open ? 'none' : 'block';
+      });
+      document.addEventListener('click', () => { profileMenu.style.display = 'none'; });
+    }
+    logoutAction?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      try {
+        const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+        const token = localStorage.getItem('token') || '';
+        if (token) await fetch(`${base}/api/auth/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+      } catch (_) {}
+      localStorage.removeItem('token');
+      document.cookie = 'token=; Path=/; Max-Age=0';
+      window.location.href = 'login.html';
+    });
+  }
+
+  /**
+   * Set up notifications functionality
+   */
+  setupNotifications() {
+    const notificationButton = document.querySelector('button[aria-label="Notifications"]');
+    if (!notificationButton) return;
+
+    this.updateNotificationBadge();
+
+    // Add click handler to navigate to inbox
+    notificationButton.addEventListener('click', () => {
+      window.location.href = 'inbox.html';
+    });
+  }
+
+  /**
+   * Reflect the unread notification count on the header bell
+   */
+  updateNotificationBadge() {
+    const notificationButton = document.querySelector('button[aria-label="Notifications"]');
+    if (!notificationButton) return;
+    const unreadCount = this.data?.unreadCount || 0;
+    let badge = notificationButton.querySelector('.notification-badge');
+    if (unreadCount > 0) {
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'notification-badge';
+        notificationButton.appendChild(badge);
+      }
+      badge.textContent = unreadCount;
+    } else if (badge) {
+      badge.remove();
+    }
+  }
+
+  async loadRunningTimer() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/time/running`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) this.data.timer = await res.json();
+    } catch (_) {}
+  }
+
+  /**
+   * Header indicator for the user's running timer: task title, elapsed time and a stop button
+   */
+  setupTimerIndicator() {
+    const actions = document.querySelector('.topbar-actions');
+    if (!actions || document.getElementById('timer-indicator')) return;
+    const el = document.createElement('div');
+    el.id = 'timer-indicator';
+    el.className = 'timer-indicator';
+    el.hidden = true;
+    el.innerHTML = `
+      <span class="timer-dot" aria-hidden="true"></span>
+      <a class="timer-task" href="tasks.html"></a>
+      <span class="timer-elapsed"></span>
+      <button type="button" class="timer-stop" title="Stop timer" aria-label="Stop timer">■</button>`;
+    el.querySelector('.timer-stop').addEventListener('click', () => this.stopTimer());
+    actions.prepend(el);
+    this.renderTimerIndicator();
+  }
+
+  renderTimerIndicator() {
+    const el = document.getElementById('timer-indicator');
+    if (!el) return;
+    clearInterval(this.timerTick);
+    const timer = this.data?.timer;
+    el.hidden = !timer;
+    if (!timer) return;
+    el.querySelector('.timer-task').textContent = timer.taskTitle || 'Untitled task';
+    const tick = () => { el.querySelector('.timer-elapsed').textContent = this._formatDuration(Date.now() - timer.startedAt, true); };
+    tick();
+    this.timerTick = setInterval(tick, 1000);
+  }
+
+  async startTimer(taskId) {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/tasks/${taskId}/time/start`, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to start timer');
+      this.applyTimeEvent({ userId: this.data.user?.id, taskId, running: data.running });
+    } catch (err) {
+      this.showToast(err.message, 'error');
+    }
+  }
+
+  async stopTimer() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/time/stop`, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok && res.status !== 404) throw new Error(data.error || 'Failed to stop timer');
+      this.applyTimeEvent({ userId: this.data.user?.id, taskId: data.taskId, running: null });
+      if (res.ok) this.showToast(`Logged ${this._formatDuration(data.duration)}`, 'success');
+    } catch (err) {
+      this.showToast(err.message, 'error');
+    }
+  }
+
+  /**
+   * A time entry changed somewhere in the workspace. `running` is only present when
+   * that user's timer started or stopped.
+   */
+  applyTimeEvent(payload) {
+    if (!this.data) return;
+    if ('running' in payload && String(payload.userId) === String(this.data.user?.id)) {
+      this.data.timer = payload.running;
+      this.renderTimerIndicator();
+    }
+    document.dispatchEvent(new CustomEvent('app:time', { detail: payload }));
+  }
+
+  /**
+   * "1h 05m" for logged time; with clock, "1:05:09" for a running timer
+   */
+  _formatDuration(ms, clock = false) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), sec = total % 60;
+    if (clock) return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+    if (!h) return `${Math.max(m, total ? 1 : 0)}m`;
+    return `${h}h ${String(m).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Read "1h 30m", "1.5h", "45m" or a bare number of minutes; null when unreadable
+   */
+  _parseDuration(str) {
+    const text = String(str || '').trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+    const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+  }
+
+  async loadUnreadCount() {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/notifications/unread-count`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) this.data.unreadCount = (await res.json()).unread;
+    } catch (_) {}
+  }
+
+  /**
+   * Load notifications from the API, optionally filtered (all, unread, mentions, assigned)
+   */
+  async loadNotifications(filter = 'all') {
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/notifications?filter=${encodeURIComponent(filter)}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (!res.ok) throw new Error('Failed notifications');
+      const items = await res.json();
+      this.data.notifications = items.map(n => ({
+        id: n._id,
+        sender: { name: n.actor?.name || 'Someone', avatar: (n.actor?.name || 'S').split(' ').map(w=>w[0]).join('').slice(0,2).toUpperCase() },
+        action: n.action,
+        message: n.message,
+        project: n.taskTitle || '',
+        time: this._timeAgo(n.createdAt),
+        isRead: Boolean(n.readAt),
+        type: n.type
+      }));
+    } catch (e) {
+      this.data.notifications = [];
+    }
+  }
+
+  _notificationRequest(path, method, body) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    return fetch(`${base}/api/notifications${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  /**
+   * Render user profile information
+   */
+  renderUserProfile() {
+    if (!this.data?.user) return;
+    
+    const profileNameElements = document.querySelectorAll('.profile-name');
+    const profileEmailElements = document.querySelectorAll('.profile-email');
+    const avatarElements = document.querySelectorAll('.avatar');
+    
+    profileNameElements.forEach(el => {
+      el.textContent = this.data.user.name;
+    });
+    
+    profileEmailElements.forEach(el => {
+      el.textContent = this.data.user.email;
+    });
+    
+    avatarElements.forEach(el => {
+      el.textContent = this.data.user.avatar;
+    });
+
+    this.renderWorkspaceSwitcher();
+  }
+
+  /**
+   * Render the workspace switcher and workspace actions in the sidebar profile area
+   */
+  renderWorkspaceSwitcher() {
+    const profile = document.getElementById('profile-row');
+    const menu = document.getElementById('profile-menu');
+    if (!profile || !this.data?.workspaces) return;
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const switchTo = async (id) => {
+      try {
+        const res = await fetch(`${base}/api/workspaces/${id}/switch`, { method: 'POST', headers });
+        if (!res.ok) throw new Error('Could not switch workspace');
+        window.location.reload();
+      } catch (err) {
+        this.showToast(err.message || 'Could not switch workspace', 'error');
+      }
+    };
+
+    let select = profile.querySelector('.workspace-switcher');
+    if (!select) {
+      select = document.createElement('select');
+      select.className = 'select workspace-switcher';
+      select.title = 'Workspace';
+      select.addEventListener('click', (e) => e.stopPropagation());
+      select.addEventListener('change', async () => {
+        if (select.value === '__new') {
+          select.value = String(this.data.activeWorkspaceId);
+          const name = prompt('Workspace name');
+          if (!name || !name.trim()) return;
+          let created;
+          try {
+            const res = await fetch(`${base}/api/workspaces`, { method: 'POST', headers, body: JSON.stringify({ name: name.trim() }) });
+            if (!res.ok) throw new Error('Could not create workspace');
+            created = await res.json();
+          } catch (err) {
+            return this.showToast(err.message || 'Could not create workspace', 'error');
+          }
+          return switchTo(created.id);
+        }
+        switchTo(select.value);
+      });
+      profile.insertBefore(select, profile.firstChild);
+    }
+    select.innerHTML = '';
+    this.data.workspaces.forEach(ws => {
+      const opt = document.createElement('option');
+      opt.value = String(ws.id);
+      opt.textContent = `${ws.name} (${ws.role})`;
+      opt.selected = String(ws.id) === String(this.data.activeWorkspaceId);
+      select.appendChild(opt);
+    });
+    const createOpt = document.createElement('option');
+    createOpt.value = '__new';
+    createOpt.textContent = '+ New workspace…';
+    select.appendChild(createOpt);
+
+    if (!menu) return;
+    menu.querySelectorAll('.menu-item.workspace-action').forEach(el => el.remove());
+    const addItem = (label, onClick) => {
+      const item = document.createElement('div');
+      item.className = 'menu-item workspace-action';
+      item.textContent = label;
+      item.addEventListener('click', (e) => { e.stopPropagation(); menu.style.display = 'none'; onClick(); });
+      menu.insertBefore(item, menu.firstChild);
+    };
+    addItem('Calendar feed', () => this._openCalendarFeed());
+    (this.data.invites || []).forEach(inv => {
+      addItem(`Join ${inv.workspaceName}`, async () => {
+        try {
+          const res = await fetch(`${base}/api/invites/${inv.token}/accept`, { method: 'POST', headers });
+          if (!res.ok) throw new Error('Could not accept invite');
+          window.location.reload();
+        } catch (err) {
+          this.showToast(err.message || 'Could not accept invite', 'error');
+        }
+      });
+    });
+    if (['owner', 'admin'].includes(this.data.role)) {
+      addItem('Invite to workspace', async () => {
+        const email = prompt('Invite by email');
+        if (!email || !email.trim()) return;
+        const role = (prompt('Role (admin, member, viewer)', 'member') || 'member').trim().toLowerCase();
+        try {
+          const res = await fetch(`${base}/api/workspaces/${this.data.activeWorkspaceId}/invites`, { method: 'POST', headers, body: JSON.stringify({ email: email.trim(), role }) });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) throw new Error(data.error || 'Invite failed');
+          this.showToast(`Invite sent to ${email.trim()}`, 'success');
+        } catch (err) {
+          this.showToast(err.message || 'Invite failed', 'error');
+        }
+      });
+    }
+  }
+
+  /**
+   * Dialog with the user's secret iCalendar feed URL, to copy into a calendar app or reset
+   */
+  async _openCalendarFeed() {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const api = async (path, method) => {
+      const res = await fetch(`${base}/api/calendar/feed${path}`, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    };
+    let feed;
+    try {
+      feed = await api('', 'GET');
+    } catch (err) {
+      return this.showToast(err.message, 'error');
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content calendar-feed">
+        <h3>Calendar feed</h3>
+        <p class="muted">Subscribe to this address in Google Calendar, Outlook or Apple Calendar to see the deadlines of open tasks from all your workspaces, with a reminder an hour before each. Keep it private: anyone with the link can read it.</p>
+        <div class="feed-url">
+          <input class="input" readonly>
+          <button type="button" class="button" data-action="copy">Copy</button>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="button" data-action="rotate">Reset link</button>
+          <a class="button" data-action="subscribe">Open in calendar app</a>
+          <button type="button" class="button button-primary" data-action="close">Done</button>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+    const input = modal.querySelector('.feed-url input');
+    const show = (url) => {
+      input.value = url;
+      modal.querySelector('[data-action="subscribe"]').href = url.replace(/^https?:/, 'webcal:');
+    };
+    show(feed.url);
+
+    modal.querySelector('[data-action="copy"]').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(input.value);
+      } catch (_) {
+        input.select();
+        document.execCommand('copy');
+      }
+      this.showToast('Feed link copied', 'success');
+    });
+    modal.querySelector('[data-action="rotate"]').addEventListener('click', async () => {
+      if (!confirm('Reset the link? Calendars subscribed to the old one will stop updating.')) return;
+      try {
+        show((await api('/rotate', 'POST')).url);
+        this.showToast('Calendar link reset', 'success');
+      } catch (err) { this.showToast(err.message, 'error'); }
+    });
+    const close = () => modal.remove();
+    modal.querySelector('[data-action="close"]').addEventListener('click', close);
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  /**
+   * Initialize page-specific functionality
+   */
+  async initPageSpecific() {
+    switch (this.currentPage) {
+      case 'index':
+        this.initIndexTasks();
+        break;
+      case 'inbox':
+        await this.initInboxPage();
+        break;
+      case 'tasks':
+        this.initTasksPage();
+        this.updateTasksStatusWidget();
+        break;
+      case 'roadmap':
+        this.initRoadmapPage();
+        break;
+      case 'projects':
+        this.initProjectsPage();
+        break;
+      // Add other pages as needed
+    }
+  }
+
+  /**
+   * Show a short notice. `action: { label, onClick }` adds a button, and keeps the toast up longer.
+   */
+  showToast(message, type='success', { action } = {}) {
+    let root = document.getElementById('toast-root');
+    if (!root) {
+      root = document.createElement('div');
+      root.id = 'toast-root';
+      root.className = 'toast-container';
+      document.body.appendChild(root);
+    }
+    const el = document.createElement('div');
+    el.className = `toast ${type}`;
+    el.textContent = message;
+    if (action) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => { el.remove(); action.onClick(); });
+      el.appendChild(btn);
+    }
+    root.appendChild(el);
+    setTimeout(()=>{ el.remove(); }, action ? 6000 : 2000);
+  }
+
+  initIndexTasks() {
+    const board = document.querySelector('.tasks-board');
+    if (board) this._renderBoard(board);
+    this.updateTasksStatusWidget();
+    this.renderRecentActivity();
+    this.setupQuickAdd();
+    this.renderPinnedTasks();
+    this.setupScratchpad();
+  }
+
+  /**
+   * Initialize inbox page functionality; tabs and bulk actions are wired by InboxPage
+   */
+  async initInboxPage() {
+    if (this.currentPage !== 'inbox') return;
+    await this.loadNotifications();
+    this.renderNotifications();
+  }
+
+  /**
+   * Render notifications on the inbox page
+   */
+  renderNotifications() {
+    const notificationsList = document.querySelector('.notifications-list');
+    if (!notificationsList || !this.data?.notifications) return;
+    
+    // Clear existing notifications
+    notificationsList.innerHTML = '';
+    
+    if (this.data.notifications.length === 0) {
+      // Show empty state
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.innerHTML = `
+        <svg viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H4V8l8 5 8-5v10zm-8-7L4 6h16l-8 5z" fill="currentColor"></path>
+        </svg>
+        <h3>No notifications</h3>
+        <p>You're all caught up!</p>
+      `;
+      notificationsList.appendChild(emptyState);
+      return;
+    }
+    
+    // Render each notification
+    this.data.notifications.forEach(notification => {
+      const notificationItem = document.createElement('div');
+      notificationItem.className = `notification-item${notification.isRead ? '' : ' unread'}`;
+      notificationItem.dataset.id = notification.id;
+      notificationItem.dataset.type = notification.type;
+      
+      notificationItem.innerHTML = `
+        <div class="notification-avatar">${this._escapeHtml(notification.sender.avatar)}</div>
+        <div class="notification-content">
+          <div class="notification-header">
+            <span class="notification-sender">${this._escapeHtml(notification.sender.name)}</span>
+            <span class="notification-action">${this._escapeHtml(notification.action)}</span>
+            ${notification.type ? `<span class="notification-badge">${this._escapeHtml(notification.type)}</span>` : ''}
+          </div>
+          <div class="notification-message">
+            ${this._escapeHtml(notification.message)}
+          </div>
+          <div class="notification-meta">
+            <div class="notification-info">
+              <span class="notification-time">${this._escapeHtml(notification.time)}</span>
+              <span class="notification-project">${this._escapeHtml(notification.project)}</span>
+            </div>
+            <div class="notification-actions">
+              <button title="Mark as read">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <polyline points="20,6 9,17 4,12"></polyline>
+                </svg>
+              </button>
+              <button title="Delete">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <polyline points="3,6 5,6 21,6"></polyline>
+                  <path d="m19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
+                </svg>
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+      
+      // Add event listeners for notification actions
+      const readButton = notificationItem.querySelector('button[title="Mark as read"]');
+      if (readButton) {
+        readButton.addEventListener('click', () => {
+          this.markNotificationAsRead(notification.id);
+        });
+      }
+      
+      const deleteButton = notificationItem.querySelector('button[title="Delete"]');
+      if (deleteButton) {
+        deleteButton.addEventListener('click', () => {
+          this.deleteNotification(notification.id);
+        });
+      }
+      
+      notificationsList.appendChild(notificationItem);
+    });
+  }
+
+  /**
+   * Filter notifications based on tab selection (all, unread, mentions, assigned)
+   */
+  async filterNotifications(filter) {
+    this.notificationFilter = filter;
+    await this.loadNotifications(filter);
+    this.renderNotifications();
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  async markNotificationAsRead(id) {
+    const notification = this.data.notifications.find(n => n.id === id);
+    if (!notification || notification.isRead) return;
+    notification.isRead = true;
+    const notificationItem = document.querySelector(`.notification-item[data-id="${id}"]`);
+    if (notificationItem) {
+      notificationItem.classList.remove('unread');
+    }
+    if (this.notificationFilter === 'unread') {
+      this.data.notifications = this.data.notifications.filter(n => n.id !== id);
+      if (notificationItem) notificationItem.remove();
+      if (!this.data.notifications.length) this.renderNotifications();
+    }
+    this.data.unreadCount = Math.max(0, (this.data.unreadCount || 0) - 1);
+    this.updateNotificationBadge();
+    try {
+      const res = await this._notificationRequest(`/${id}`, 'PATCH', { read: true });
+      if (!res.ok) throw new Error('Failed');
+    } catch (_) {
+      this.showToast('Could not update notification', 'error');
+      await this.loadUnreadCount();
+      this.updateNotificationBadge();
+    }
+  }
+
+  /**
+   * Delete a notification
+   */
+  async deleteNotification(id) {
+    const notification = this.data.notifications.find(n => n.id === id);
+    try {
+      const res = await this._notificationRequest(`/${id}`, 'DELETE');
+      if (!res.ok) throw new Error('Failed');
+    } catch (_) {
+      this.showToast('Could not delete notification', 'error');
+      return;
+    }
+    this.data.notifications = this.data.notifications.filter(n => n.id !== id);
+    const notificationItem = document.querySelector(`.notification-item[data-id="${id}"]`);
+    if (notificationItem) {
+      notificationItem.classList.add('fade-out');
+      setTimeout(() => notificationItem.remove(), 300);
+    }
+    if (this.data.notifications.length === 0) {
+      this.renderNotifications();
+    }
+    if (notification && !notification.isRead) {
+      this.data.unreadCount = Math.max(0, (this.data.unreadCount || 0) - 1);
+      this.updateNotificationBadge();
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  async markAllNotificationsAsRead() {
+    try {
+      const res = await this._notificationRequest('/mark-all-read', 'POST');
+      if (!res.ok) throw new Error('Failed');
+    } catch (_) {
+      this.showToast('Could not update notifications', 'error');
+      return;
+    }
+    this.data.notifications.forEach(notification => {
+      notification.isRead = true;
+    });
+    document.querySelectorAll('.notification-item.unread').forEach(item => {
+      item.classList.remove('unread');
+    });
+    if (this.notificationFilter === 'unread') {
+      this.data.notifications = [];
+      this.renderNotifications();
+    }
+    this.data.unreadCount = 0;
+    this.updateNotificationBadge();
+  }
+
+  /**
+   * Initialize roadmap page functionality
+   */
+  initRoadmapPage() {
+    if (this.currentPage !== 'roadmap' || !this.data?.roadmap) return;
+    
+    // Render roadmap data
+    Object.entries(this.data.roadmap).forEach(([quarter, data]) => {
+      const quarterElement = document.querySelector(`.quarter[data-quarter="${quarter}"]`);
+      if (!quarterElement) return;
+      
+      // Update progress bar
+      const progressBar = quarterElement.querySelector('.progress-bar span');
+      if (progressBar) {
+        progressBar.style.width = `${data.completion}%`;
+      }
+      
+      // Update progress label
+      const progressLabel = quarterElement.querySelector('.progress-label');
+      if (progressLabel) {
+        progressLabel.textContent = `${data.completion}% Complete`;
+      }
+      
+      // Render initiatives
+      const quarterBody = quarterElement.querySelector('.quarter-body');
+      if (quarterBody && data.initiatives) {
+        data.initiatives.forEach(initiative => {
+          const card = document.createElement('div');
+          card.className = 'roadmap-card';
+          card.dataset.id = initiative.id;
+          
+          card.innerHTML = `
+            <div class="card-top">
+              <div class="card-top-left">
+                <div class="roadmap-icon">${initiative.id.charAt(0).toUpperCase()}</div>
+                <div>
+                  <div class="card-title">${initiative.title}</div>
+                </div>
+              </div>
+              <div class="status-pill ${initiative.status}">${initiative.status}</div>
+            </div>
+          `;
+          
+          quarterBody.appendChild(card);
+        });
+      }
+    });
+  }
+
+  /**
+   * Initialize projects page functionality
+   */
+  initProjectsPage() {
+    if (this.currentPage !== 'projects' || !this.data?.projects) return;
+    
+    // Render projects data
+    const projectsList = document.querySelector('.projects-list');
+    if (!projectsList) return;
+    
+    this.data.projects.forEach(project => {
+      const projectCard = document.createElement('div');
+      projectCard.className = 'project-card';
+      projectCard.dataset.id = project.id;
+      
+      projectCard.innerHTML = `
+        <div class="project-header">
+          <h3 class="project-title">${project.name}</h3>
+          <div class="project-status">${project.status}</div>
+        </div>
+        <p class="project-description">${project.description}</p>
+        <div class="project-progress">
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${project.completion}%"></div>
+          </div>
+          <div class="progress-text">${project.completion}%</div>
+        </div>
+      `;
+      
+      projectsList.appendChild(projectCard);
+    });
+  }
+
+  /**
+   * Initialize tasks page functionality
+   */
+  initTasksPage() {
+    if (this.currentPage !== 'tasks') return;
+    if (!this.data?.tasks) this.data.tasks = [];
+
+    const board = document.querySelector('.tasks-board');
+    if (!board) return;
+    this._renderSprintBar(board);
+    this._renderBoard(board);
+    this._setupTaskViews(board);
+
+    const modal = document.getElementById('task-modal');
+    const form = document.getElementById('task-form');
+    const cancel = document.getElementById('task-cancel');
+    const openFromHash = () => {
+      if (window.location.hash === '#new') this.openTaskModal();
+    };
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
+
+    cancel?.addEventListener('click', () => {
+      this.closeTaskModal();
+    });
+
+    const statusSel = document.getElementById('task-status');
+    if (statusSel) {
+      statusSel.innerHTML = this._boardColumns().map((c, i) => `<option value="${c.id}" ${i === 0 ? 'selected' : ''}>${this._escapeHtml(c.name)}</option>`).join('');
+    }
+    const labelField = document.getElementById('task-labels');
+    if (labelField) labelField.innerHTML = this._labelPicker();
+    this._renderLabelFilter(board);
+
+    const planner = document.getElementById('sprint-planner');
+    if (planner && this.data.role !== 'viewer') {
+      planner.hidden = false;
+      planner.addEventListener('click', () => this._openSprintPlanner());
+    }
+
+    document.getElementById('import-export')?.addEventListener('click', () => this._openImportExport(board));
+    document.getElementById('open-trash')?.addEventListener('click', () => this._openTrash());
+
+    const settings = document.getElementById('board-settings');
+    if (settings && ['admin', 'owner'].includes(this.data.role)) {
+      settings.hidden = false;
+      settings.addEventListener('click', () => this._openBoardEditor());
+    }
+
+    const picker = form?.querySelector('.recurrence-picker');
+    if (picker) {
+      picker.innerHTML = this._recurrenceFields(null);
+      this._wireRecurrencePicker(picker);
+    }
+
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const title = document.getElementById('task-title').value.trim();
+      const priority = document.getElementById('task-priority').value;
+      const status = document.getElementById('task-status').value;
+      const assignee = document.getElementById('task-assignee').value.trim();
+      const deadlineInput = document.getElementById('task-deadline').value;
+      const recurrence = picker ? this._readRecurrence(picker) : null;
+      const labels = labelField ? this._readLabelPicker(labelField) : [];
+      const points = document.getElementById('task-points')?.value || null;
+      // New tasks join the sprint the board is showing
+      const sprintId = this.sprintFilter && this.sprintFilter !== 'backlog' ? this.sprintFilter : null;
+      if (!title) return;
+      try {
+        const result = await this._createTask({ title, priority, status, assignee, deadline: deadlineInput ? `${deadlineInput}:00` : undefined, recurrence, labels, points, sprintId });
+        if (!result.ok) {
+          this.showToast(result.data?.error || 'Failed to create task', 'error');
+          return;
+        }
+        const created = result.data;
+        if (!this.data.tasks.some(t => String(t.id) === String(created._id))) this.data.tasks.push(this._mapTask(created));
+        this.closeTaskModal();
+        const board = document.querySelector('.tasks-board');
+        if (board) this._renderBoard(board);
+        this.updateTasksStatusWidget();
+        this.renderRecentActivity();
+      } catch (err) {
+      }
+    });
+
+    this.updateTasksStatusWidget();
+  }
+
+  _renderBoard(board) {
+    this._renderColumns(board);
+    const columns = board.querySelectorAll('.kanban-column');
+    const byStatus = {};
+    this._boardColumns().forEach(c => { byStatus[c.id] = []; });
+    (this.data?.tasks || []).slice().sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity)).forEach(task => {
+      const group = byStatus[task.status] || byStatus[this._firstStatus()];
+      group.push(this._buildCard(task, board));
+    });
+    columns.forEach(col => {
+      const status = col.getAttribute('data-status');
+      const body = col.querySelector('.column-body');
+      const cards = byStatus[status] || [];
+      body.innerHTML = '';
+      // Column listeners survive re-renders, so only attach them once
+      if (!col.dataset.dndWired) {
+        col.dataset.dndWired = 'true';
+        this._wireColumnDrop(board, col);
+      }
+      cards.forEach(c => { c.classList.add('card-in'); body.appendChild(c); });
+    });
+    this._updateColumnCounts(board);
+    this._renderSprintBar(board);
+    this._renderTable();
+  }
+
+  /**
+   * Build one column per board definition entry; rebuilt only when the definition changes
+   */
+  _renderColumns(board) {
+    const columns = this._boardColumns();
+    const key = JSON.stringify(columns);
+    if (board.dataset.columns === key) return;
+    board.dataset.columns = key;
+    board.innerHTML = '';
+    board.style.gridTemplateColumns = `repeat(${columns.length}, minmax(${columns.length > 4 ? '220px' : '0'}, 1fr))`;
+    columns.forEach(c => {
+      const col = document.createElement('div');
+      col.className = 'kanban-column';
+      col.dataset.status = c.id;
+      col.style.setProperty('--column-color', c.color);
+      col.innerHTML = `<div class="column-header"><span class="name">${this._escapeHtml(c.name)}</span><span class="count">0</span></div><div class="column-body"></div>`;
+      board.appendChild(col);
+    });
+  }
+
+  _wireColumnDrop(board, col) {
+    const status = col.getAttribute('data-status');
+    const body = col.querySelector('.column-body');
+    col.addEventListener('dragover', (e) => {
+      // Leaving the default in place refuses the drop for moves the board does not allow
+      const dragged = (this.data?.tasks || []).find(t => String(t.id) === String(this._dragTaskId));
+      if (dragged && !this._canMove(dragged.status, status)) return;
+      e.preventDefault();
+      col.classList.add('drop-highlight');
+      body.classList.add('drop-target');
+      body.insertBefore(this._dropMarker(), this._cardBelow(body, e.clientY));
+      this.updateTasksStatusWidget();
+    });
+    col.addEventListener('dragleave', (e) => {
+      if (col.contains(e.relatedTarget)) return;
+      col.classList.remove('drop-highlight');
+      body.classList.remove('drop-target');
+      this._dropMarker().remove();
+    });
+    col.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      col.classList.remove('drop-highlight');
+      body.classList.remove('drop-target');
+      this._dropMarker().remove();
+      const id = e.dataTransfer.getData('text/plain');
+      const task = (this.data?.tasks || []).find(t => String(t.id) === String(id));
+      if (!task) return;
+      if (!this._canMove(task.status, status)) {
+        this.showToast(`Moving from ${this._statusLabel(task.status)} to ${this._statusLabel(status)} is not allowed`, 'error');
+        return;
+      }
+      const cardEl = board.querySelector(`.kanban-card[data-id="${CSS.escape(String(id))}"]`);
+      const below = this._cardBelow(body, e.clientY);
+      const sameColumn = task.status === status;
+      // Dropped back where it was
+      if (sameColumn && cardEl && this._nextCard(cardEl) === below) return;
+      // Position relative to the card now below the drop point, else the last card in the column
+      const others = Array.from(body.querySelectorAll('.kanban-card')).filter(c => c !== cardEl);
+      const position = below ? { beforeId: below.dataset.id } : (others.length ? { afterId: others[others.length - 1].dataset.id } : {});
+      const prev = task.status;
+      const from = cardEl ? this._cardPosition(cardEl) : {};
+      task.status = status;
+      if (cardEl) { cardEl.classList.add('card-in'); body.insertBefore(cardEl, below); }
+      this._updateColumnCounts(board);
+      this.updateTasksStatusWidget();
+      try {
+        const result = sameColumn ? await this._reorderTask(id, position) : await this._patchTask(id, { status, ...position });
+        if (!result.ok) throw new Error(result.data?.error || 'Move failed');
+        Object.assign(task, this._mapTask(result.data));
+        this._upsertCard(board, task);
+        if (sameColumn) {
+          if (from.beforeId || from.afterId) this._recordChange(`Reordered "${task.title}"`, [{ id, reorder: from }], [{ id, reorder: position }]);
+        } else {
+          this._recordChange(`Moved "${task.title}" to ${this._statusLabel(status)}`, [{ id, body: { status: prev, ...from } }], [{ id, body: { status, ...position } }]);
+        }
+      } catch (err) {
+        this.showToast(err.message || 'Move failed', 'error');
+        task.status = prev;
+        this._renderBoard(board);
+        this.updateTasksStatusWidget();
+      }
+    });
+  }
+
+  /**
+   * The card a drop at pointer height `y` would land above; null means the bottom of the column
+   */
+  _cardBelow(body, y) {
+    const cards = Array.from(body.querySelectorAll('.kanban-card:not(.dragging):not([hidden])'));
+    return cards.find(c => {
+      const r = c.getBoundingClientRect();
+      return y < r.top + r.height / 2;
+    }) || null;
+  }
+
+  _nextCard(card) {
+    let next = card.nextElementSibling;
+    while (next && !next.classList.contains('kanban-card')) next = next.nextElementSibling;
+    return next;
+  }
+
+  // Where a card sits in its column, as a position the reorder endpoint accepts
+  _cardPosition(card) {
+    const next = this._nextCard(card);
+    if (next) return { beforeId: next.dataset.id };
+    let prev = card.previousElementSibling;
+    while (prev && !prev.classList.contains('kanban-card')) prev = prev.previousElementSibling;
+    return prev ? { afterId: prev.dataset.id } : {};
+  }
+
+  // Shared insertion line shown while dragging over a column
+  _dropMarker() {
+    if (!this.dropMarker) {
+      this.dropMarker = document.createElement('div');
+      this.dropMarker.className = 'drop-marker';
+    }
+    return this.dropMarker;
+  }
+
+  /**
+   * Build a Kanban card element for a task, with its star, drag and edit/delete handlers
+   */
+  _buildCard(task, board) {
+    const progress = this._taskProgress(task);
+    const blockers = this._openBlockers(task);
+    const parent = task.parentId ? (this.data?.tasks || []).find(t => String(t.id) === String(task.parentId)) : null;
+    const card = document.createElement('div');
+    card.className = 'kanban-card';
+    card.dataset.id = task.id;
+    card.draggable = this.data.role !== 'viewer';
+    card.hidden = !this._matchesFilters(task);
+    const chips = this._labelChips(task);
+    card.innerHTML = `
+      ${parent ? `<div class="card-parent">↳ ${this._escapeHtml(parent.title)}</div>` : ''}
+      ${chips ? `<div class="card-labels">${chips}</div>` : ''}
+      <div class="card-title">${this._escapeHtml(task.title)}</div>
+      <div class="card-meta">Priority • ${this._escapeHtml(task.priority)}${task.assignee ? ` • ${this._escapeHtml(task.assignee)}` : ''}</div>
+      <div class="card-footer">
+        <span>Assigned • ${task.assignedAtIST || new Date(task.createdAt||Date.now()).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</span>
+        ${task.recurrence ? `<span class="badge recurring" title="${this._describeRecurrence(task.recurrence)}">↻</span>` : ''}
+        ${blockers.length ? `<span class="badge blocked" title="Blocked by: ${this._escapeHtml(blockers.map(b => b.title).join(', '))}">Blocked</span>` : ''}
+        ${task.points != null ? `<span class="badge points" title="Story points">${task.points} pts</span>` : ''}
+        ${task.attachments.length ? `<span class="badge attachments" title="${task.attachments.length} attachment${task.attachments.length === 1 ? '' : 's'}">📎 ${task.attachments.length}</span>` : ''}
+        ${progress.total ? `<span class="badge progress${progress.done === progress.total ? ' complete' : ''}" title="Checklist and subtasks">${progress.done}/${progress.total}</span>` : ''}
+        ${task.deadline ? `<span class="badge ${Date.now()>Date.parse(task.deadline)?'overdue':'near-due'}">${Date.now()>Date.parse(task.deadline)?'Overdue':'Due ' + new Date(task.deadline).toLocaleDateString('en-IN')}</span>` : ''}
+      </div>
+      <div class="card-actions">
+        <button class="task-action" data-action="edit" title="Edit">
+          <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1.003 1.003 0 0 0 0-1.42l-2.34-2.34a1.003 1.003 0 0 0-1.42 0l-1.83 1.83 3.75 3.75 1.84-1.82z" fill="currentColor"></path></svg>
+        </button>
+        <button class="task-action" data-action="archive" title="Archive">
+          <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M3 4h18v4H3zm1 5h16v10a1 1 0 0 1-1 1H5a1 1 0 0 1-1-1V9zm5 3v2h6v-2H9z" fill="currentColor"></path></svg>
+        </button>
+        <button class="task-action" data-action="delete" title="Delete">
+          <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M6 7h12v2H6zm2 3h8v9a2 2 0 0 1-2 2H10a2 2 0 0 1-2-2v-9zm3-6h2l1 2H8l1-2z" fill="currentColor"></path></svg>
+        </button>
+        <button class="star-button${task.starred ? ' active' : ''}" title="Pin"></button>
+      </div>
+    `;
+    const starBtn = card.querySelector('.star-button');
+    starBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const next = !task.starred;
+      task.starred = next;
+      starBtn.classList.toggle('active', next);
+      this.renderPinnedTasks();
+      try {
+        const result = await this._patchTask(task.id, { starred: next });
+        if (result.ok) this._recordChange(`${next ? 'Pinned' : 'Unpinned'} "${task.title}"`, [{ id: task.id, body: { starred: !next } }], [{ id: task.id, body: { starred: next } }]);
+      } catch (_) {}
+    });
+    card.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', String(task.id));
+      this._dragTaskId = task.id;
+      requestAnimationFrame(() => card.classList.add('dragging'));
+    });
+    card.addEventListener('dragend', () => { card.classList.remove('dragging'); this._dragTaskId = null; this._dropMarker().remove(); });
+
+    const id = task.id;
+    const actions = card.querySelector('.card-actions');
+    actions.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._trashTasks([id]);
+    });
+    actions.querySelector('[data-action="archive"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._archiveTask(id);
+    });
+    actions.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const current = (this.data?.tasks || []).find(t => String(t.id) === String(id));
+      if (current) this._openEditModal(current, board);
+    });
+    return card;
+  }
+
+  /**
+   * Build the edit dialog for a task dynamically
+   */
+  _openEditModal(task, board) {
+    const id = task.id;
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h3>Edit Task</h3>
+        <form id="edit-task-form">
+          <div class="form-field"><label>Title</label><input class="input" id="edit-title" value="${this._escapeHtml(task.title)}"></div>
+          <div class="form-row">
+            <div class="form-field"><label>Priority</label>
+              <select class="select" id="edit-priority">
+                <option ${task.priority==='High'?'selected':''}>High</option>
+                <option ${task.priority==='Medium'?'selected':''}>Medium</option>
+                <option ${task.priority==='Low'?'selected':''}>Low</option>
+              </select>
+            </div>
+            <div class="form-field"><label>Status</label>
+              <select class="select" id="edit-status">
+                ${this._boardColumns().filter(c => this._canMove(task.status, c.id)).map(c => `<option value="${c.id}" ${task.status===c.id?'selected':''}>${this._escapeHtml(c.name)}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-field"><label>Assignee</label><input class="input" id="edit-assignee" value="${this._escapeHtml(task.assignee)}"></div>
+            <div class="form-field"><label>Deadline</label><input class="input" type="datetime-local" id="edit-deadline" value="${task.deadline? new Date(task.deadline).toISOString().slice(0,16):''}"></div>
+            <div class="form-field"><label>Blocked by</label>
+              <select class="select" id="edit-blockers" multiple size="3">
+                ${(this.data?.tasks || []).filter(t => String(t.id) !== String(id)).map(t => `<option value="${t.id}" ${(task.blockedBy || []).includes(String(t.id)) ? 'selected' : ''}>${this._escapeHtml(t.title)}${this._isDone(t.status) ? ' ✓' : ''}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-field"><label>Points</label><input class="input" type="number" min="0" max="100" step="any" id="edit-points" value="${task.points ?? ''}" placeholder="—"></div>
+            <div class="form-field"><label>Sprint</label>
+              <select class="select" id="edit-sprint">
+                <option value="">Backlog</option>
+                ${(this.data?.sprints || []).filter(sp => sp.state !== 'closed' || sp.id === task.sprintId).map(sp => `<option value="${sp.id}" ${sp.id === task.sprintId ? 'selected' : ''}>${this._escapeHtml(sp.name)}${sp.state === 'active' ? ' (active)' : ''}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-row recurrence-picker">${this._recurrenceFields(task.recurrence)}</div>
+          <div class="form-field"><label>Labels</label><div class="label-picker" id="edit-labels">${this._labelPicker(task.labels)}</div></div>
+          <div class="modal-actions"><button type="button" class="button" id="edit-cancel">Cancel</button><button type="submit" class="button button-primary">Save</button></div>
+        </form>
+        <div class="subitems">
+          <div class="subitems-section checklist">
+            <h4>Checklist <span class="muted progress-label"></span></h4>
+            <ul class="subitem-list"></ul>
+            <form class="subitem-form"><input class="input" placeholder="Add an item"><button type="submit" class="button">Add</button></form>
+          </div>
+          <div class="subitems-section subtasks">
+            <h4>Subtasks</h4>
+            <ul class="subitem-list"></ul>
+            <form class="subitem-form"><input class="input" placeholder="Add a subtask"><button type="submit" class="button">Add</button></form>
+          </div>
+        </div>
+        <div class="time-tracking">
+          <h4>Time <span class="muted time-total"></span><button type="button" class="button time-toggle"></button></h4>
+          <ul class="time-list"></ul>
+          <form class="time-form">
+            <input class="input time-amount" placeholder="1h 30m">
+            <input class="input time-date" type="date">
+            <input class="input time-note" placeholder="Note (optional)">
+            <button type="submit" class="button">Log</button>
+          </form>
+        </div>
+        <div class="attachments">
+          <h4>Attachments</h4>
+          <ul class="attachment-list"></ul>
+          <label class="button attachment-upload"><input type="file" hidden>Attach file</label>
+        </div>
+        <div class="comment-thread">
+          <h4>Comments</h4>
+          <ul class="comment-list"></ul>
+          <form class="comment-form">
+            <textarea class="input" placeholder="Write a comment… use @name to mention"></textarea>
+            <button type="submit" class="button button-primary">Comment</button>
+          </form>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+    this._wireRecurrencePicker(modal.querySelector('.recurrence-picker'));
+    this._renderSubitemsPanel(modal.querySelector('.subitems'), task, board);
+    this._renderAttachments(modal.querySelector('.attachments'), task, board);
+    this._renderCommentThread(modal.querySelector('.comment-thread'), task);
+    const stopTimeUpdates = this._renderTimeTracking(modal.querySelector('.time-tracking'), task);
+    const close = ()=>{ stopTimeUpdates(); modal.remove(); };
+    modal.querySelector('#edit-cancel').addEventListener('click', close);
+    document.addEventListener('keydown', function onKey(e){ if(e.key==='Escape'){ close(); document.removeEventListener('keydown', onKey);} });
+    const formEl = modal.querySelector('#edit-task-form');
+    formEl.addEventListener('submit', async (ev)=>{
+      ev.preventDefault();
+      const next = {
+        title: modal.querySelector('#edit-title').value.trim(),
+        priority: modal.querySelector('#edit-priority').value,
+        status: modal.querySelector('#edit-status').value,
+        assignee: modal.querySelector('#edit-assignee').value.trim(),
+        deadline: (function(){ const v = modal.querySelector('#edit-deadline').value; return v ? `${v}:00` : undefined; })(),
+        blockedBy: Array.from(modal.querySelector('#edit-blockers').selectedOptions).map(o => o.value),
+        recurrence: this._readRecurrence(modal.querySelector('.recurrence-picker')),
+        labels: this._readLabelPicker(modal.querySelector('#edit-labels')),
+        points: modal.querySelector('#edit-points').value || null
+      };
+      // Leave a closed sprint alone; the server refuses to move tasks into one
+      const sprintId = modal.querySelector('#edit-sprint').value || null;
+      if (sprintId !== task.sprintId) next.sprintId = sprintId;
+      let ok = false, updated = null;
+      const before = this._taskFields(task, Object.keys(next));
+      try {
+        const result = await this._patchTask(id, next);
+        ok = result.ok;
+        updated = result.data;
+      } catch (_) { ok = false; }
+      if (ok) {
+        if (updated) Object.assign(task, this._mapTask(updated));
+        const after = this._taskFields(task, Object.keys(next));
+        const changed = Object.keys(next).filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+        if (changed.length) this._recordChange(`Updated "${task.title}"`, [{ id, body: this._taskFields(before, changed) }], [{ id, body: this._taskFields(after, changed) }]);
+        else this.showToast('Task updated', 'success');
+        try {
+          this._renderBoard(board);
+          this.updateTasksStatusWidget();
+        } catch (_) {}
+        close();
+      } else {
+        this.showToast(updated?.error || 'Save failed', 'error');
+      }
+    });
+    // Ensure clicking inside modal does not close it due to global handlers
+    modal.querySelector('.modal-content').addEventListener('click', (e)=> e.stopPropagation());
+  }
+
+  /**
+   * Repeat-rule fields shared by the add form and the edit modal.
+   * Rules with an end (count/until) are shown as a custom RRULE so saving keeps them.
+   */
+  _recurrenceFields(rule) {
+    const custom = rule && (rule.count != null || rule.until);
+    const freq = custom ? 'rrule' : (rule?.freq || '');
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const option = (value, label) => `<option value="${value}" ${freq === value ? 'selected' : ''}>${label}</option>`;
+    return `
+      <div class="form-field"><label>Repeat</label>
+        <select class="select repeat-freq">
+          ${option('', 'Does not repeat')}${option('daily', 'Daily')}${option('weekly', 'Weekly')}${option('monthly', 'Monthly')}${option('rrule', 'Custom (RRULE)')}
+        </select>
+      </div>
+      <div class="form-field repeat-interval"><label>Every</label><input class="input" type="number" min="1" max="365" value="${rule?.interval || 1}"></div>
+      <div class="form-field repeat-days"><label>On</label>
+        <div class="weekday-picker">
+          ${weekdays.map((d, i) => `<label><input type="checkbox" value="${i}" ${(rule?.byDay || []).includes(i) ? 'checked' : ''}>${d}</label>`).join('')}
+        </div>
+      </div>
+      <div class="form-field repeat-monthday"><label>Day of month</label><input class="input" type="number" min="-1" max="31" placeholder="Same as deadline" value="${rule?.byMonthDay ?? ''}"></div>
+      <div class="form-field repeat-rrule"><label>Rule</label><input class="input" placeholder="FREQ=WEEKLY;BYDAY=MO,WE" value="${rule ? this._toRRule(rule) : ''}"></div>`;
+  }
+
+  _wireRecurrencePicker(root) {
+    const freq = root.querySelector('.repeat-freq');
+    const sync = () => {
+      root.querySelector('.repeat-interval').hidden = !freq.value || freq.value === 'rrule';
+      root.querySelector('.repeat-days').hidden = freq.value !== 'weekly';
+      root.querySelector('.repeat-monthday').hidden = freq.value !== 'monthly';
+      root.querySelector('.repeat-rrule').hidden = freq.value !== 'rrule';
+    };
+    freq.addEventListener('change', sync);
+    sync();
+  }
+
+  /**
+   * Read the picker back into the API shape: null, { rrule } or { freq, interval, byDay?, byMonthDay? }
+   */
+  _readRecurrence(root) {
+    const freq = root.querySelector('.repeat-freq').value;
+    if (!freq) return null;
+    if (freq === 'rrule') return { rrule: root.querySelector('.repeat-rrule input').value.trim() };
+    const rule = { freq, interval: parseInt(root.querySelector('.repeat-interval input').value, 10) || 1 };
+    if (freq === 'weekly') rule.byDay = Array.from(root.querySelectorAll('.repeat-days input:checked')).map(i => Number(i.value));
+    const day = root.querySelector('.repeat-monthday input').value;
+    if (freq === 'monthly' && day) rule.byMonthDay = Number(day);
+    return rule;
+  }
+
+  _toRRule(rule) {
+    const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.map(d => days[d]).join(',')}`);
+    if (rule.byMonthDay != null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count != null) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/\.\d+/, '').replace(/[-:]/g, '')}`);
+    return parts.join(';');
+  }
+
+  _describeRecurrence(rule) {
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const every = (unit) => rule.interval > 1 ? `every ${rule.interval} ${unit}s` : ({ day: 'daily', week: 'weekly', month: 'monthly' })[unit];
+    let text = 'Repeats ';
+    if (rule.freq === 'daily') text += every('day');
+    if (rule.freq === 'weekly') text += every('week') + (rule.byDay?.length ? ` on ${rule.byDay.map(d => weekdays[d]).join(', ')}` : '');
+    if (rule.freq === 'monthly') text += every('month') + (rule.byMonthDay === -1 ? ' on the last day' : rule.byMonthDay ? ` on day ${rule.byMonthDay}` : '');
+    if (rule.count != null) text += `, ${rule.count} left`;
+    if (rule.until) text += ` until ${new Date(rule.until).toLocaleDateString('en-IN')}`;
+    return text;
+  }
+
+  /**
+   * Admin dialog for the workspace's columns: name, colour, done flag, order and allowed moves,
+   * plus how long done tasks stay on the board before they are archived
+   */
+  _openBoardEditor() {
+    const transitions = this.data.board?.transitions || {};
+    const columns = this._boardColumns().map(c => ({ ...c, to: [...(transitions[c.id] || [])] }));
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h3>Board columns</h3>
+        <p class="muted">Tasks in a done column count as completed. Leave WIP empty for no limit, and "Can move to" empty to allow any move.</p>
+        <ul class="column-editor"></ul>
+        <label class="archive-setting muted">Archive done tasks after
+          <input class="input" type="number" min="1" max="365" data-field="archive" value="${this.data.board?.archiveAfterDays ?? ''}" placeholder="never">
+          days
+        </label>
+        <div class="modal-actions">
+          <button type="button" class="button" data-action="add">+ Column</button>
+          <button type="button" class="button" data-action="cancel">Cancel</button>
+          <button type="button" class="button button-primary" data-action="save">Save</button>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+    const list = modal.querySelector('.column-editor');
+    const render = () => {
+      list.innerHTML = '';
+      columns.forEach((c, idx) => {
+        const li = document.createElement('li');
+        li.className = 'column-editor-row';
+        li.innerHTML = `
+          <input class="input" data-field="name" value="${this._escapeHtml(c.name)}" placeholder="Column name">
+          <input type="color" data-field="color" value="${c.color}" title="Colour">
+          <label class="muted"><input type="checkbox" data-field="done" ${c.done ? 'checked' : ''}> Done</label>
+          <input class="input" type="number" min="1" data-field="wip" value="${c.wipLimit || ''}" placeholder="WIP" title="WIP limit (empty for none)">
+          <select class="select" data-field="to" multiple size="2" title="Can move to">
+            ${columns.filter(o => o.id && o !== c).map(o => `<option value="${o.id}" ${c.to.includes(o.id) ? 'selected' : ''}>${this._escapeHtml(o.name)}</option>`).join('')}
+          </select>
+          <span class="subitem-actions">
+            <button type="button" title="Move up" data-move="-1" ${idx === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" title="Move down" data-move="1" ${idx === columns.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" title="Remove" data-remove ${columns.length === 1 ? 'disabled' : ''}>✕</button>
+          </span>`;
+        li.querySelector('[data-field="name"]').addEventListener('input', (e) => { c.name = e.target.value; });
+        li.querySelector('[data-field="color"]').addEventListener('input', (e) => { c.color = e.target.value; });
+        li.querySelector('[data-field="done"]').addEventListener('change', (e) => { c.done = e.target.checked; });
+        li.querySelector('[data-field="wip"]').addEventListener('input', (e) => { c.wipLimit = parseInt(e.target.value, 10) || null; });
+        li.querySelector('[data-field="to"]').addEventListener('change', (e) => { c.to = Array.from(e.target.selectedOptions).map(o => o.value); });
+        li.querySelectorAll('[data-move]').forEach(btn => btn.addEventListener('click', () => {
+          const j = idx + Number(btn.dataset.move);
+          [columns[idx], columns[j]] = [columns[j], columns[idx]];
+          render();
+        }));
+        li.querySelector('[data-remove]').addEventListener('click', () => {
+          columns.splice(idx, 1);
+          columns.forEach(o => { o.to = o.to.filter(t => t !== c.id); });
+          render();
+        });
+        list.appendChild(li);
+      });
+    };
+    render();
+
+    const close = () => modal.remove();
+    const save = async (body) => {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/board`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(body)
+      });
+      return { ok: res.ok, status: res.status, data: await res.json().catch(() => ({})) };
+    };
+    modal.querySelector('[data-action="add"]').addEventListener('click', () => {
+      columns.push({ name: 'New column', color: '#94A3B8', done: false, wipLimit: null, to: [] });
+      render();
+    });
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const restricted = columns.filter(c => c.id && c.to.length);
+      const body = {
+        columns: columns.map(({ id, name, color, done, wipLimit }) => ({ id, name, color, done, wipLimit })),
+        transitions: restricted.length ? Object.fromEntries(restricted.map(c => [c.id, c.to])) : null,
+        archiveAfterDays: parseInt(modal.querySelector('[data-field="archive"]').value, 10) || null
+      };
+      try {
+        let result = await save(body);
+        // Removed columns that still hold tasks: offer to move those tasks to the first kept column
+        const target = columns.find(c => c.id);
+        if (result.status === 409 && target) {
+          const stranded = result.data.columns || [];
+          const n = stranded.reduce((sum, c) => sum + c.count, 0);
+          if (!window.confirm(`${n} task${n === 1 ? '' : 's'} are in removed columns. Move them to ${target.name}?`)) return;
+          body.remap = Object.fromEntries(stranded.map(c => [c.id, target.id]));
+          result = await save(body);
+        }
+        if (!result.ok) throw new Error(result.data?.error || 'Save failed');
+        await this.applyBoardEvent(result.data);
+        this.showToast('Board updated', 'success');
+        close();
+      } catch (err) {
+        this.showToast(err.message || 'Save failed', 'error');
+      }
+    });
+    modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  /**
+   * Insert or replace a single card without re-rendering the board.
+   * The card is placed by rank; a card that stays in its column is swapped without the entry animation.
+   */
+  _upsertCard(board, task, { cascade = true } = {}) {
+    if (!board) return;
+    const col = board.querySelector(`.kanban-column[data-status="${CSS.escape(task.status)}"]`) || board.querySelector('.kanban-column');
+    const body = col?.querySelector('.column-body');
+    if (!body) return;
+    const existing = board.querySelector(`.kanban-card[data-id="${CSS.escape(String(task.id))}"]`);
+    const card = this._buildCard(task, board);
+    const ranks = new Map((this.data?.tasks || []).map(t => [String(t.id), t.rank ?? Infinity]));
+    const below = Array.from(body.querySelectorAll('.kanban-card'))
+      .find(c => c !== existing && ranks.get(c.dataset.id) > (task.rank ?? Infinity)) || null;
+    if (existing && existing.parentElement === body) {
+      existing.replaceWith(card);
+    } else {
+      existing?.remove();
+      card.classList.add('card-in');
+    }
+    body.insertBefore(card, below);
+    if (cascade) {
+      // Parent cards show their subtasks' progress; dependent cards show whether they are still blocked
+      const parent = task.parentId ? (this.data?.tasks || []).find(t => String(t.id) === String(task.parentId)) : null;
+      if (parent) this._upsertCard(board, parent, { cascade: false });
+      (this.data?.tasks || [])
+        .filter(t => (t.blockedBy || []).includes(String(task.id)))
+        .forEach(t => this._upsertCard(board, t, { cascade: false }));
+    }
+    this._updateColumnCounts(board);
+  }
+
+  /**
+   * Done/total across a task's checklist items and its subtasks
+   */
+  _taskProgress(task) {
+    const items = task.checklist || [];
+    const children = (this.data?.tasks || []).filter(t => t.parentId && String(t.parentId) === String(task.id));
+    return {
+      done: items.filter(i => i.done).length + children.filter(c => this._isDone(c.status)).length,
+      total: items.length + children.length
+    };
+  }
+
+  /**
+   * Checklist and subtask management inside the edit modal
+   */
+  _renderSubitemsPanel(panel, task, board) {
+    if (!panel) return;
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const api = async (path, method, body) => {
+      const res = await fetch(`${base}/api/tasks${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Update failed');
+      return data;
+    };
+    const checklistList = panel.querySelector('.checklist .subitem-list');
+    const subtaskList = panel.querySelector('.subtasks .subitem-list');
+    const subtaskSection = panel.querySelector('.subtasks');
+    const children = () => (this.data?.tasks || [])
+      .filter(t => t.parentId && String(t.parentId) === String(task.id))
+      .sort((a, b) => (a.childPosition ?? 0) - (b.childPosition ?? 0));
+    const moved = (ids, index, delta) => {
+      const next = ids.slice();
+      const target = index + delta;
+      if (target < 0 || target >= next.length) return null;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    };
+    const row = (text, done, onToggle, onMove, onRemove) => {
+      const li = document.createElement('li');
+      li.className = `subitem${done ? ' done' : ''}`;
+      li.innerHTML = `
+        <label><input type="checkbox" ${done ? 'checked' : ''}> <span class="text">${this._escapeHtml(text)}</span></label>
+        <span class="subitem-actions">
+          <button type="button" data-move="-1" title="Move up">↑</button>
+          <button type="button" data-move="1" title="Move down">↓</button>
+          ${onRemove ? '<button type="button" data-action="remove" title="Remove">×</button>' : ''}
+        </span>`;
+      li.querySelector('input').addEventListener('change', (e) => onToggle(e.target.checked));
+      li.querySelectorAll('[data-move]').forEach(b => b.addEventListener('click', () => onMove(Number(b.dataset.move))));
+      li.querySelector('[data-action="remove"]')?.addEventListener('click', onRemove);
+      return li;
+    };
+    const fail = (err) => this.showToast(err?.message || 'Update failed', 'error');
+    const applyTask = (updated) => {
+      Object.assign(task, this._mapTask(updated));
+      this._upsertCard(board, task);
+      render();
+    };
+
+    const render = () => {
+      const progress = this._taskProgress(task);
+      panel.querySelector('.progress-label').textContent = progress.total ? `${progress.done}/${progress.total}` : '';
+      checklistList.innerHTML = '';
+      const itemIds = (task.checklist || []).map(i => String(i.id));
+      (task.checklist || []).forEach((item, idx) => {
+        checklistList.appendChild(row(item.text, item.done,
+          (done) => api(`/${task.id}/checklist/${item.id}`, 'PATCH', { done }).then(applyTask).catch(fail),
+          (delta) => {
+            const order = moved(itemIds, idx, delta);
+            if (order) api(`/${task.id}/checklist/reorder`, 'POST', { order }).then(applyTask).catch(fail);
+          },
+          () => api(`/${task.id}/checklist/${item.id}`, 'DELETE').then(applyTask).catch(fail)
+        ));
+      });
+      if (task.parentId) {
+        subtaskSection.style.display = 'none';
+        return;
+      }
+      subtaskList.innerHTML = '';
+      const kids = children();
+      const kidIds = kids.map(k => String(k.id));
+      kids.forEach((child, idx) => {
+        subtaskList.appendChild(row(child.title, this._isDone(child.status),
+          (done) => api(`/${child.id}`, 'PATCH', { status: done ? this._doneStatus() : this._firstStatus() })
+            .then(updated => { Object.assign(child, this._mapTask(updated)); this._upsertCard(board, child); render(); })
+            .catch(fail),
+          (delta) => {
+            const order = moved(kidIds, idx, delta);
+            if (!order) return;
+            api(`/${task.id}/subtasks/reorder`, 'POST', { order })
+              .then(list => {
+                list.forEach(t => { const local = kids.find(k => String(k.id) === String(t._id)); if (local) local.childPosition = t.childPosition; });
+                render();
+              })
+              .catch(fail);
+          },
+          null
+        ));
+      });
+    };
+
+    panel.querySelector('.checklist .subitem-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const input = e.target.querySelector('input');
+      const text = input.value.trim();
+      if (!text) return;
+      api(`/${task.id}/checklist`, 'POST', { text }).then(updated => { input.value = ''; applyTask(updated); }).catch(fail);
+    });
+    panel.querySelector('.subtasks .subitem-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const input = e.target.querySelector('input');
+      const title = input.value.trim();
+      if (!title) return;
+      api('', 'POST', { title, parentId: task.id, priority: task.priority, status: this._firstStatus() })
+        .then(created => {
+          input.value = '';
+          let child = this.data.tasks.find(t => String(t.id) === String(created._id));
+          if (!child) {
+            child = this._mapTask(created);
+            this.data.tasks.push(child);
+          }
+          this._upsertCard(board, child);
+          this.updateTasksStatusWidget();
+          render();
+        })
+        .catch(fail);
+    });
+    render();
+  }
+
+  _removeCard(board, id) {
+    board.querySelector(`.kanban-card[data-id="${CSS.escape(String(id))}"]`)?.remove();
+    this._updateColumnCounts(board);
+  }
+
+  /**
+   * Subscribe to server-sent task events for the active workspace
+   */
+  setupLiveUpdates() {
+    if (typeof EventSource === 'undefined' || this.stream) return;
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    this.stream = new EventSource(`${base}/api/stream${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+    ['task.created', 'task.updated', 'task.deleted'].forEach(type => {
+      this.stream.addEventListener(type, (e) => {
+        try { this.applyTaskEvent(type, JSON.parse(e.data)); } catch (_) {}
+      });
+    });
+    this.stream.addEventListener('board.updated', (e) => {
+      try { this.applyBoardEvent(JSON.parse(e.data)); } catch (_) {}
+    });
+    this.stream.addEventListener('labels.updated', (e) => {
+      try { this.applyLabelsEvent(JSON.parse(e.data)); } catch (_) {}
+    });
+    this.stream.addEventListener('sprints.updated', (e) => {
+      try { this.applySprintsEvent(JSON.parse(e.data)); } catch (_) {}
+    });
+    this.stream.addEventListener('time.updated', (e) => {
+      try { this.applyTimeEvent(JSON.parse(e.data)); } catch (_) {}
+    });
+  }
+
+  /**
+   * Replace the workspace's labels; deleted labels drop off tasks and out of the filter
+   */
+  applyLabelsEvent(labels) {
+    if (!this.data) return;
+    this.data.labels = labels.map(l => ({ ...l, id: String(l.id) }));
+    const known = new Set(this.data.labels.map(l => l.id));
+    (this.data.tasks || []).forEach(t => { t.labels = (t.labels || []).filter(id => known.has(id)); });
+    this.labelFilter?.forEach(id => { if (!known.has(id)) this.labelFilter.delete(id); });
+    const board = document.querySelector('.tasks-board');
+    if (board) {
+      this._renderLabelFilter(board);
+      this._renderBoard(board);
+    }
+    const labelField = document.getElementById('task-labels');
+    if (labelField) labelField.innerHTML = this._labelPicker();
+    this.renderPinnedTasks();
+    document.dispatchEvent(new CustomEvent('app:labels', { detail: { labels: this.data.labels } }));
+  }
+
+  /**
+   * Switch to a new board definition. Tasks are reloaded because removed columns move their tasks.
+   */
+  async applyBoardEvent(definition) {
+    if (!this.data) return;
+    this.data.board = definition;
+    await this.loadTasksFromAPI();
+    const board = document.querySelector('.tasks-board');
+    if (board) this._renderBoard(board);
+    const statusSel = document.getElementById('task-status');
+    if (statusSel) statusSel.innerHTML = this._boardColumns().map(c => `<option value="${c.id}">${this._escapeHtml(c.name)}</option>`).join('');
+    this.updateTasksStatusWidget();
+    this.renderPinnedTasks();
+    document.dispatchEvent(new CustomEvent('app:board', { detail: { board: definition } }));
+  }
+
+  /**
+   * Apply a task create/update/delete to the local data and visible widgets.
+   * Events are idempotent: a tab that made the change locally receives it again.
+   * An archived task leaves the board like a deleted one, but listeners still get it.
+   */
+  applyTaskEvent(type, payload) {
+    if (!this.data) return;
+    if (!this.data.tasks) this.data.tasks = [];
+    const id = String(payload._id || payload.id);
+    const idx = this.data.tasks.findIndex(t => String(t.id) === id);
+    let task = null;
+    if (type === 'task.deleted') {
+      if (idx !== -1) this.data.tasks.splice(idx, 1);
+    } else if (payload.archivedAt) {
+      if (idx !== -1) this.data.tasks.splice(idx, 1);
+      task = this._mapTask(payload);
+    } else if (idx !== -1) {
+      task = Object.assign(this.data.tasks[idx], this._mapTask(payload));
+    } else {
+      task = this._mapTask(payload);
+      this.data.tasks.push(task);
+    }
+    const board = document.querySelector('.tasks-board');
+    if (board) {
+      if (task && !task.archivedAt) this._upsertCard(board, task);
+      else this._removeCard(board, id);
+      this._renderSprintBar(board);
+      this._renderTable();
+    }
+    this.updateTasksStatusWidget();
+    this.renderPinnedTasks();
+    this._refreshRecentActivity();
+    document.dispatchEvent(new CustomEvent('app:task', { detail: { type, task, id } }));
+  }
+
+  // Bulk changes and imports push one event per task; fetch the activity feed once they settle
+  _refreshRecentActivity() {
+    if (!document.querySelector('.activity-list')) return;
+    clearTimeout(this.activityTimer);
+    this.activityTimer = setTimeout(() => this.renderRecentActivity(), 1000);
   }
 
   /**
-   * Filter notifications based on tab selection
+   * Remember a change so it can be undone. `undo` and `redo` are lists of steps, each either
+   * { id, body } for a PATCH or { id, reorder } for a move within the task's column.
+   * Shows `label` in a toast with an Undo button.
    */
-  filterNotifications(filter) {
-    const notificationItems = document.querySelectorAll('.notification-item');
-    
-    notificationItems.forEach(item => {
-      if (filter === 'all') {
-        item.style.display = '';
-      } else if (filter === 'unread') {
-        item.style.display = item.classList.contains('unread') ? '' : 'none';
-      } else if (filter === 'mentions') {
-        item.style.display = item.dataset.type === 'mention' ? '' : 'none';
-      } else if (filter === 'assigned') {
-        item.style.display = item.dataset.type === 'assigned' ? '' : 'none';
-      }
-    });
+  _recordChange(label, undo, redo) {
+    const entry = { label, undo, redo };
+    this.history.undo.push(entry);
+    if (this.history.undo.length > 50) this.history.undo.shift();
+    this.history.redo = [];
+    this.showToast(label, 'success', { action: { label: 'Undo', onClick: () => this.undo(entry) } });
   }
 
   /**
-   * Mark a notification as read
+   * Revert the latest change, or `entry` when undoing from its toast
    */
-  markNotificationAsRead(id) {
-    // Update data model
-    const notification = this.data.notifications.find(n => n.id === id);
-    if (notification) {
-      notification.isRead = true;
-    }
-    
-    // Update UI
-    const notificationItem = document.querySelector(`.notification-item[data-id="${id}"]`);
-    if (notificationItem) {
-      notificationItem.classList.remove('unread');
-    }
-    
-    // Update notification count
-    this.setupNotifications();
+  async undo(entry = this.history.undo[this.history.undo.length - 1]) {
+    const idx = this.history.undo.indexOf(entry);
+    if (idx === -1 || this.historyBusy) return;
+    this.history.undo.splice(idx, 1);
+    if (!(await this._replayChange(entry.undo, 'undo'))) return;
+    this.history.redo.push(entry);
+    this.showToast(`Undone: ${entry.label}`, 'success', { action: { label: 'Redo', onClick: () => this.redo(entry) } });
+  }
+
+  async redo(entry = this.history.redo[this.history.redo.length - 1]) {
+    const idx = this.history.redo.indexOf(entry);
+    if (idx === -1 || this.historyBusy) return;
+    this.history.redo.splice(idx, 1);
+    if (!(await this._replayChange(entry.redo, 'redo'))) return;
+    this.history.undo.push(entry);
+    this.showToast(`Redone: ${entry.label}`, 'success', { action: { label: 'Undo', onClick: () => this.undo(entry) } });
   }
 
   /**
-   * Delete a notification
+   * Send the steps of a history entry. If the server refuses one, the task has usually been
+   * changed elsewhere since; reload the tasks so the page shows what the server has, and drop the entry.
    */
-  deleteNotification(id) {
-    // Update data model
-    this.data.notifications = this.data.notifications.filter(n => n.id !== id);
-    
-    // Update UI
-    const notificationItem = document.querySelector(`.notification-item[data-id="${id}"]`);
-    if (notificationItem) {
-      notificationItem.remove();
-    }
-    
-    // Check if we need to show empty state
-    if (this.data.notifications.length === 0) {
-      this.renderNotifications();
+  async _replayChange(steps, verb) {
+    this.historyBusy = true;
+    try {
+      for (const step of steps) {
+        let result = step.reorder ? await this._reorderTask(step.id, step.reorder) : await this._patchTask(step.id, step.body);
+        // The card it sat next to has moved away; put it at the bottom of the column instead
+        if (result.status === 400 && step.body?.status && (step.body.beforeId || step.body.afterId)) {
+          const { beforeId: _b, afterId: _a, ...body } = step.body;
+          result = await this._patchTask(step.id, body);
+        }
+        if (!result.ok) throw new Error(result.data?.error || 'the task has changed since');
+        this.applyTaskEvent('task.updated', result.data);
+      }
+      return true;
+    } catch (err) {
+      this.showToast(`Could not ${verb}: ${err.message}`, 'error');
+      await this._reconcileTasks();
+      return false;
+    } finally {
+      this.historyBusy = false;
     }
-    
-    // Update notification count
-    this.setupNotifications();
   }
 
   /**
-   * Mark all notifications as read
+   * Replace the local task list with the server's and redraw everything that shows it
    */
-  markAllNotificationsAsRead() {
-    // Update data model
-    this.data.notifications.forEach(notification => {
-      notification.isRead = true;
-    });
-    
-    // Update UI
-    const unreadItems = document.querySelectorAll('.notification-item.unread');
-    unreadItems.forEach(item => {
-      item.classList.remove('unread');
-    });
-    
-    // Update notification count
-    this.setupNotifications();
+  async _reconcileTasks() {
+    await this.loadTasksFromAPI();
+    const board = document.querySelector('.tasks-board');
+    if (board) this._renderBoard(board);
+    this.updateTasksStatusWidget();
+    this.renderPinnedTasks();
+    this.renderRecentActivity();
+    document.dispatchEvent(new CustomEvent('app:board', { detail: { board: this.data?.board } }));
   }
 
   /**
-   * Initialize roadmap page functionality
+   * Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes. Text fields keep their own undo.
    */
-  initRoadmapPage() {
-    if (this.currentPage !== 'roadmap' || !this.data?.roadmap) return;
-    
-    // Render roadmap data
-    Object.entries(this.data.roadmap).forEach(([quarter, data]) => {
-      const quarterElement = document.querySelector(`.quarter[data-quarter="${quarter}"]`);
-      if (!quarterElement) return;
-      
-      // Update progress bar
-      const progressBar = quarterElement.querySelector('.progress-bar span');
-      if (progressBar) {
-        progressBar.style.width = `${data.completion}%`;
-      }
-      
-      // Update progress label
-      const progressLabel = quarterElement.querySelector('.progress-label');
-      if (progressLabel) {
-        progressLabel.textContent = `${data.completion}% Complete`;
-      }
-      
-      // Render initiatives
-      const quarterBody = quarterElement.querySelector('.quarter-body');
-      if (quarterBody && data.initiatives) {
-        data.initiatives.forEach(initiative => {
-          const card = document.createElement('div');
-          card.className = 'roadmap-card';
-          card.dataset.id = initiative.id;
-          
-          card.innerHTML = `
-            <div class="card-top">
-              <div class="card-top-left">
-                <div class="roadmap-icon">${initiative.id.charAt(0).toUpperCase()}</div>
-                <div>
-                  <div class="card-title">${initiative.title}</div>
-                </div>
-              </div>
-              <div class="status-pill ${initiative.status}">${initiative.status}</div>
-            </div>
-          `;
-          
-          quarterBody.appendChild(card);
-        });
-      }
+  setupUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const el = e.target;
+      if (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) this.redo();
+      else this.undo();
     });
   }
 
   /**
-   * Initialize projects page functionality
+   * The fields of `task` named in `keys`, as a PATCH body. Missing values are sent as null to clear them.
    */
-  initProjectsPage() {
-    if (this.currentPage !== 'projects' || !this.data?.projects) return;
-    
-    // Render projects data
-    const projectsList = document.querySelector('.projects-list');
-    if (!projectsList) return;
-    
-    this.data.projects.forEach(project => {
-      const projectCard = document.createElement('div');
-      projectCard.className = 'project-card';
-      projectCard.dataset.id = project.id;
-      
-      projectCard.innerHTML = `
-        <div class="project-header">
-          <h3 class="project-title">${project.name}</h3>
-          <div class="project-status">${project.status}</div>
-        </div>
-        <p class="project-description">${project.description}</p>
-        <div class="project-progress">
-          <div class="progress-bar">
-            <div class="progress-fill" style="width: ${project.completion}%"></div>
-          </div>
-          <div class="progress-text">${project.completion}%</div>
-        </div>
-      `;
-      
-      projectsList.appendChild(projectCard);
-    });
+  _taskFields(task, keys) {
+    return Object.fromEntries(keys.map(k => [k, task[k] ?? null]));
   }
 
   /**
-   * Initialize tasks page functionality
+   * Load and render a task's comment thread, with posting, editing and deleting
    */
-  initTasksPage() {
-    if (this.currentPage !== 'tasks') return;
-    if (!this.data?.tasks) this.data.tasks = [];
-
-    const board = document.querySelector('.tasks-board');
-    if (!board) return;
-    this._renderBoard(board);
+  async _renderCommentThread(panel, task) {
+    if (!panel) return;
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const url = `${base}/api/tasks/${task.id}/comments`;
+    const list = panel.querySelector('.comment-list');
+    const form = panel.querySelector('.comment-form');
+    const input = form.querySelector('textarea');
 
-    const modal = document.getElementById('task-modal');
-    const form = document.getElementById('task-form');
-    const cancel = document.getElementById('task-cancel');
-    const openFromHash = () => {
-      if (window.location.hash === '#new') this.openTaskModal();
+    const load = async () => {
+      let comments = [];
+      try {
+        const res = await fetch(url, { headers });
+        if (res.ok) comments = await res.json();
+      } catch (_) {}
+      list.innerHTML = '';
+      if (!comments.length) {
+        list.innerHTML = '<li class="muted">No comments yet</li>';
+        return;
+      }
+      comments.forEach(c => {
+        const li = document.createElement('li');
+        li.className = 'comment';
+        const mine = String(c.userId) === String(this.data.user?.id);
+        const body = this._escapeHtml(c.body).replace(/(^|\s)(@[\w.-]+)/g, '$1<span class="mention">$2</span>');
+        li.innerHTML = `
+          <div class="comment-meta"><strong>${this._escapeHtml(c.author?.name || 'Unknown')}</strong> • ${this._timeAgo(c.createdAt)}${c.updatedAt > c.createdAt ? ' • edited' : ''}</div>
+          <div class="comment-body">${body}</div>
+          ${mine ? '<div class="comment-actions"><button type="button" data-action="edit">Edit</button><button type="button" data-action="delete">Delete</button></div>' : ''}
+        `;
+        li.querySelector('[data-action="edit"]')?.addEventListener('click', async () => {
+          const next = prompt('Edit comment', c.body);
+          if (!next || !next.trim() || next.trim() === c.body) return;
+          const res = await fetch(`${url}/${c._id}`, { method: 'PATCH', headers, body: JSON.stringify({ body: next.trim() }) });
+          if (!res.ok) return this.showToast('Edit failed', 'error');
+          load();
+        });
+        li.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+          const res = await fetch(`${url}/${c._id}`, { method: 'DELETE', headers });
+          if (!res.ok) return this.showToast('Delete failed', 'error');
+          load();
+        });
+        list.appendChild(li);
+      });
     };
-    openFromHash();
-    window.addEventListener('hashchange', openFromHash);
 
-    cancel?.addEventListener('click', () => {
-      this.closeTaskModal();
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const body = input.value.trim();
+      if (!body) return;
+      try {
+        const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ body }) });
+        if (!res.ok) throw new Error('Comment failed');
+        input.value = '';
+        load();
+      } catch (_) {
+        this.showToast('Comment failed', 'error');
+      }
     });
+    load();
+  }
 
-    form?.addEventListener('submit', async (e) => {
+  /**
+   * Time panel for the edit modal: total, entries, start/stop and manual logging.
+   * Returns a function that detaches its live-update listener.
+   */
+  _renderTimeTracking(panel, task) {
+    if (!panel) return () => {};
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const url = `${base}/api/tasks/${task.id}/time`;
+    const list = panel.querySelector('.time-list');
+    const toggle = panel.querySelector('.time-toggle');
+    const form = panel.querySelector('.time-form');
+    const canLog = this.data.role !== 'viewer';
+    toggle.hidden = !canLog;
+    form.hidden = !canLog;
+    form.querySelector('.time-date').value = new Date().toLocaleDateString('en-CA');
+
+    const syncToggle = () => {
+      const mine = this.data.timer && String(this.data.timer.taskId) === String(task.id);
+      toggle.textContent = mine ? 'Stop timer' : 'Start timer';
+      toggle.classList.toggle('running', Boolean(mine));
+    };
+    const load = async () => {
+      let result = { entries: [], total: 0 };
+      try {
+        const res = await fetch(url, { headers });
+        if (res.ok) result = await res.json();
+      } catch (_) {}
+      panel.querySelector('.time-total').textContent = result.total ? this._formatDuration(result.total) : '';
+      list.innerHTML = '';
+      if (!result.entries.length) {
+        list.innerHTML = '<li class="muted">No time logged</li>';
+        return;
+      }
+      result.entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = `time-entry${entry.running ? ' running' : ''}`;
+        const mine = String(entry.userId) === String(this.data.user?.id);
+        const canDelete = !entry.running && (mine || ['admin', 'owner'].includes(this.data.role));
+        li.innerHTML = `
+          <strong>${this._escapeHtml(entry.actor?.name || 'Unknown')}</strong>
+          <span>${entry.running ? 'running' : this._formatDuration(entry.duration)}</span>
+          <span class="muted">${new Date(entry.startedAt).toLocaleDateString('en-IN')}${entry.note ? ` • ${this._escapeHtml(entry.note)}` : ''}</span>
+          ${canDelete ? '<button type="button" class="time-remove" title="Remove">×</button>' : ''}
+        `;
+        li.querySelector('.time-remove')?.addEventListener('click', async () => {
+          const res = await fetch(`${base}/api/time/${entry._id}`, { method: 'DELETE', headers });
+          if (!res.ok) return this.showToast('Delete failed', 'error');
+          load();
+        });
+        list.appendChild(li);
+      });
+    };
+
+    toggle.addEventListener('click', async () => {
+      const mine = this.data.timer && String(this.data.timer.taskId) === String(task.id);
+      if (mine) await this.stopTimer();
+      else await this.startTimer(task.id);
+    });
+    form.addEventListener('submit', async (e) => {
       e.preventDefault();
-      const title = document.getElementById('task-title').value.trim();
-      const priority = document.getElementById('task-priority').value;
-      const status = document.getElementById('task-status').value;
-      const assignee = document.getElementById('task-assignee').value.trim();
-      const deadlineInput = document.getElementById('task-deadline').value;
-      if (!title) return;
+      e.stopPropagation();
+      const minutes = this._parseDuration(form.querySelector('.time-amount').value);
+      if (!minutes) return this.showToast('Enter a duration like 1h 30m or 45m', 'error');
+      // Today's entries end now; earlier days are placed in the morning
+      const day = form.querySelector('.time-date').value;
+      const earlier = day && day !== new Date().toLocaleDateString('en-CA');
       try {
-        const tokenCreate = localStorage.getItem('token') || '';
-        const res = await fetch('/api/tasks', {
+        const res = await fetch(url, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json', ...(tokenCreate ? { Authorization: `Bearer ${tokenCreate}` } : {}) },
-          body: JSON.stringify({ title, priority, status, assignee, deadline: deadlineInput ? `${deadlineInput}:00` : undefined })
+          headers,
+          body: JSON.stringify({ minutes, startedAt: earlier ? `${day}T09:00:00` : undefined, note: form.querySelector('.time-note').value })
         });
-        if (!res.ok) throw new Error('Failed to create');
-        const created = await res.json();
-        const createdAt = created.createdAt || Date.now();
-        this.data.tasks.push({
-          id: created._id || created.id,
-          title: created.title,
-          priority: created.priority,
-          status: created.status,
-          assignee: created.assignee,
-          starred: Boolean(created.starred),
-          createdAt,
-          assignedAt: created.assignedAt,
-          assignedAtIST: created.assignedAtIST,
-          deadline: created.deadline,
-          completedAt: created.completedAt,
-          completedAtIST: created.completedAtIST
-        });
-        this.closeTaskModal();
-        const board = document.querySelector('.tasks-board');
-        if (board) this._renderBoard(board);
-        this.updateTasksStatusWidget();
-        this.renderRecentActivity();
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Failed to log time');
+        form.querySelector('.time-amount').value = '';
+        form.querySelector('.time-note').value = '';
+        load();
       } catch (err) {
+        this.showToast(err.message, 'error');
       }
     });
 
-    this.updateTasksStatusWidget();
+    const onTime = (e) => {
+      if (String(e.detail.taskId) === String(task.id) || 'running' in e.detail) syncToggle();
+      if (String(e.detail.taskId) === String(task.id)) load();
+    };
+    document.addEventListener('app:time', onTime);
+    syncToggle();
+    load();
+    return () => document.removeEventListener('app:time', onTime);
   }
 
-  _renderBoard(board) {
-    const columns = board.querySelectorAll('.kanban-column');
-    const byStatus = { 'backlog': [], 'in-progress': [], 'review': [], 'done': [] };
-    (this.data?.tasks || []).forEach(task => {
-      const card = document.createElement('div');
-      card.className = 'kanban-card';
-      card.dataset.id = task.id;
-      card.draggable = true;
-      card.innerHTML = `
-        <div class="card-title">${task.title}</div>
-        <div class="card-meta">Priority • ${task.priority}${task.assignee ? ` • ${task.assignee}` : ''}</div>
-        <div class="card-footer">
-          <span>Assigned • ${task.assignedAtIST || new Date(task.createdAt||Date.now()).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</span>
-          ${task.deadline ? `<span class="badge ${Date.now()>Date.parse(task.deadline)?'overdue':'near-due'}">${Date.now()>Date.parse(task.deadline)?'Overdue':'Due ' + new Date(task.deadline).toLocaleDateString('en-IN')}</span>` : ''}
-        </div>
-        <div class="card-actions">
-          <button class="task-action" data-action="edit" title="Edit">
-            <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1.003 1.003 0 0 0 0-1.42l-2.34-2.34a1.003 1.003 0 0 0-1.42 0l-1.83 1.83 3.75 3.75 1.84-1.82z" fill="currentColor"></path></svg>
-          </button>
-          <button class="task-action" data-action="delete" title="Delete">
-            <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M6 7h12v2H6zm2 3h8v9a2 2 0 0 1-2 2H10a2 2 0 0 1-2-2v-9zm3-6h2l1 2H8l1-2z" fill="currentColor"></path></svg>
-          </button>
-          <button class="star-button${task.starred ? ' active' : ''}" title="Pin"></button>
-        </div>
-      `;
-      const starBtn = card.querySelector('.star-button');
-      starBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const next = !task.starred;
-        task.starred = next;
-        starBtn.classList.toggle('active', next);
-        this.renderPinnedTasks();
-        try {
-          const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-          const tokenStar = localStorage.getItem('token') || '';
-          await fetch(`${base}/api/tasks/${task.id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(tokenStar ? { Authorization: `Bearer ${tokenStar}` } : {}) }, body: JSON.stringify({ starred: next }) });
-        } catch (_) {}
-      });
-      card.addEventListener('dragstart', (e) => {
-        e.dataTransfer.setData('text/plain', String(task.id));
-        requestAnimationFrame(() => card.classList.add('dragging'));
-      });
-      card.addEventListener('dragend', () => { card.classList.remove('dragging'); });
-      const group = byStatus[task.status] || byStatus['backlog'];
-      group.push(card);
-    });
-    columns.forEach(col => {
-      const status = col.getAttribute('data-status');
-      const body = col.querySelector('.column-body');
-      const countEl = col.querySelector('.count');
-      const cards = byStatus[status] || [];
-      body.innerHTML = '';
-      col.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        col.classList.add('drop-highlight');
-        body.classList.add('drop-target');
-        this.updateTasksStatusWidget();
-      });
-      col.addEventListener('dragleave', () => {
-        col.classList.remove('drop-highlight');
-        body.classList.remove('drop-target');
-      });
-      col.addEventListener('drop', async (e) => {
-        e.preventDefault();
-        col.classList.remove('drop-highlight');
-        body.classList.remove('drop-target');
-        const id = e.dataTransfer.getData('text/plain');
-        const task = (this.data?.tasks || []).find(t => String(t.id) === String(id));
-        if (!task || task.status === status) return;
-        const prev = task.status;
-        task.status = status;
-        const cardEl = board.querySelector(`.kanban-card[data-id="${CSS.escape(String(id))}"]`);
-        if (cardEl) { cardEl.classList.add('card-in'); body.appendChild(cardEl); }
-        this._updateColumnCounts(board);
-        this.updateTasksStatusWidget();
-        try {
-          const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-          const tokenMove = localStorage.getItem('token') || '';
-          await fetch(`${base}/api/tasks/${id}`, {
-            method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(tokenMove ? { Authorization: `Bearer ${tokenMove}` } : {}) }, body: JSON.stringify({ status })
-          });
-        } catch (err) {
-          task.status = prev;
-          const prevCol = board.querySelector(`.kanban-column[data-status="${prev}"] .column-body`);
-          const cardEl2 = board.querySelector(`.kanban-card[data-id="${CSS.escape(String(id))}"]`);
-          if (prevCol && cardEl2) prevCol.appendChild(cardEl2);
-          this._updateColumnCounts(board);
-          this.updateTasksStatusWidget();
-        }
-      });
-      cards.forEach(c => { c.classList.add('card-in'); body.appendChild(c); });
-      if (countEl) countEl.textContent = String(cards.length);
-
-      // Wire edit/delete for cards in this column after injection
-      const wireActions = () => {
-        body.querySelectorAll('.kanban-card').forEach(cardEl => {
-          const id = cardEl.dataset.id;
-          const actions = cardEl.querySelector('.card-actions');
-          const del = actions?.querySelector('[data-action="delete"]');
-          const edit = actions?.querySelector('[data-action="edit"]');
-          del && del.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            try {
-              const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-              const tokenDel = localStorage.getItem('token') || '';
-              const res = await fetch(`${base}/api/tasks/${id}`, { method: 'DELETE', headers: tokenDel ? { Authorization: `Bearer ${tokenDel}` } : {} });
-              if (!res.ok) throw new Error('Delete failed');
-              this.data.tasks = (this.data.tasks || []).filter(x => String(x.id) !== String(id));
-              this._renderBoard(board);
-              this.updateTasksStatusWidget();
-              this.renderPinnedTasks();
-            } catch (_) {}
-          });
-          edit && edit.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const task = (this.data?.tasks || []).find(t => String(t.id) === String(id));
-            if (!task) return;
-            // Build an edit dialog dynamically
-            const modal = document.createElement('div');
-            modal.className = 'modal';
-            modal.style.display = 'flex';
-            modal.innerHTML = `
-              <div class="modal-content">
-                <h3>Edit Task</h3>
-                <form id="edit-task-form">
-                  <div class="form-field"><label>Title</label><input class="input" id="edit-title" value="${task.title}"></div>
-                  <div class="form-row">
-                    <div class="form-field"><label>Priority</label>
-                      <select class="select" id="edit-priority">
-                        <option ${task.priority==='High'?'selected':''}>High</option>
-                        <option ${task.priority==='Medium'?'selected':''}>Medium</option>
-                        <option ${task.priority==='Low'?'selected':''}>Low</option>
-                      </select>
-                    </div>
-                    <div class="form-field"><label>Status</label>
-                      <select class="select" id="edit-status">
-                        <option value="backlog" ${task.status==='backlog'?'selected':''}>Backlog</option>
-                        <option value="in-progress" ${task.status==='in-progress'?'selected':''}>In Progress</option>
-                        <option value="review" ${task.status==='review'?'selected':''}>Review</option>
-                        <option value="done" ${task.status==='done'?'selected':''}>Done</option>
-                      </select>
-                    </div>
-                  </div>
-                  <div class="form-row">
-                    <div class="form-field"><label>Assignee</label><input class="input" id="edit-assignee" value="${task.assignee||''}"></div>
-                    <div class="form-field"><label>Deadline</label><input class="input" type="datetime-local" id="edit-deadline" value="${task.deadline? new Date(task.deadline).toISOString().slice(0,16):''}"></div>
-                  </div>
-                  <div class="modal-actions"><button type="button" class="button" id="edit-cancel">Cancel</button><button type="submit" class="button button-primary">Save</button></div>
-                </form>
-              </div>`;
-            document.body.appendChild(modal);
-            const close = ()=>{ modal.remove(); };
-            modal.querySelector('#edit-cancel').addEventListener('click', close);
-            document.addEventListener('keydown', function onKey(e){ if(e.key==='Escape'){ close(); document.removeEventListener('keydown', onKey);} });
-            const formEl = modal.querySelector('#edit-task-form');
-            formEl.addEventListener('submit', async (ev)=>{
-              ev.preventDefault();
-              const next = {
-                title: modal.querySelector('#edit-title').value.trim(),
-                priority: modal.querySelector('#edit-priority').value,
-                status: modal.querySelector('#edit-status').value,
-                assignee: modal.querySelector('#edit-assignee').value.trim(),
-                deadline: (function(){ const v = modal.querySelector('#edit-deadline').value; return v ? `${v}:00` : undefined; })()
-              };
-              let ok = false, updated = null;
-              try {
-                const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-                const tokenEdit = localStorage.getItem('token') || '';
-                const res = await fetch(`${base}/api/tasks/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(tokenEdit ? { Authorization: `Bearer ${tokenEdit}` } : {}) }, body: JSON.stringify(next) });
-                ok = res.ok;
-                try { updated = await res.json(); } catch (_) { updated = null; }
-              } catch (_) { ok = false; }
-              if (ok) {
-                this.showToast('Task updated', 'success');
-                if (updated) Object.assign(task, updated);
-                try {
-                  this._renderBoard(board);
-                  this.updateTasksStatusWidget();
-                } catch (_) {}
-                close();
-              } else {
-                this.showToast('Save failed', 'error');
-              }
-            });
-            // Ensure clicking inside modal does not close it due to global handlers
-            modal.querySelector('.modal-content').addEventListener('click', (e)=> e.stopPropagation());
-          });
+  /**
+   * Attachment list for the edit modal: image thumbnails, download links, upload and delete.
+   * Files are fetched with ?token= since <img> and links can't send the Authorization header.
+   */
+  _renderAttachments(panel, task, board) {
+    if (!panel) return;
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const url = `${base}/api/tasks/${task.id}/attachments`;
+    const list = panel.querySelector('.attachment-list');
+    const input = panel.querySelector('input[type="file"]');
+    const isAdmin = ['admin', 'owner'].includes(this.data.role);
+    panel.querySelector('.attachment-upload').hidden = this.data.role === 'viewer';
+
+    const apply = (updated) => {
+      Object.assign(task, this._mapTask(updated));
+      this._upsertCard(board, task);
+      render();
+    };
+    const formatSize = (bytes) => bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    const render = () => {
+      list.innerHTML = '';
+      if (!task.attachments.length) {
+        list.innerHTML = '<li class="muted">No attachments</li>';
+        return;
+      }
+      task.attachments.forEach(a => {
+        const href = `${url}/${a.id}?token=${encodeURIComponent(token)}`;
+        const li = document.createElement('li');
+        li.className = 'attachment';
+        const canDelete = isAdmin || (this.data.role !== 'viewer' && String(a.userId) === String(this.data.user?.id));
+        li.innerHTML = `
+          ${a.type.startsWith('image/') ? `<a href="${href}" target="_blank" rel="noopener"><img class="attachment-thumb" src="${href}" alt="" loading="lazy"></a>` : '<span class="attachment-icon">📄</span>'}
+          <a class="attachment-name" href="${href}" target="_blank" rel="noopener">${this._escapeHtml(a.name)}</a>
+          <span class="muted">${formatSize(a.size)}</span>
+          ${canDelete ? '<button type="button" class="attachment-remove" title="Remove">×</button>' : ''}
+        `;
+        li.querySelector('.attachment-remove')?.addEventListener('click', async () => {
+          if (!confirm(`Remove "${a.name}"?`)) return;
+          try {
+            const res = await fetch(`${url}/${a.id}`, { method: 'DELETE', headers: token ? { Authorization: `Bearer ${token}` } : {} });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Delete failed');
+            apply(data);
+          } catch (err) {
+            this.showToast(err.message, 'error');
+          }
         });
-      };
-      wireActions();
+        list.appendChild(li);
+      });
+    };
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      const body = new FormData();
+      body.append('file', file);
+      try {
+        const res = await fetch(url, { method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {}, body });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Upload failed');
+        apply(data);
+      } catch (err) {
+        this.showToast(err.message, 'error');
+      } finally {
+        input.value = '';
+      }
     });
+    render();
+  }
+
+  _escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
   }
 
   setupQuickAdd() {
@@ -807,12 +3242,13 @@ class AppCore {
       const priority = prioritySel?.value || 'Medium';
       if (!title) return;
       try {
-        const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-        const tokenQuick = localStorage.getItem('token') || '';
-        const res = await fetch(`${base}/api/tasks`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(tokenQuick ? { Authorization: `Bearer ${tokenQuick}` } : {}) }, body: JSON.stringify({ title, priority, status: 'backlog' }) });
-        if (!res.ok) return;
-        const created = await res.json();
-        this.data.tasks.push({ id: created._id || created.id, title: created.title, priority: created.priority, status: created.status, assignee: created.assignee || '', starred: created.starred || false, createdAt: created.createdAt || Date.now(), assignedAt: created.assignedAt, assignedAtIST: created.assignedAtIST, deadline: created.deadline });
+        const result = await this._createTask({ title, priority, status: this._firstStatus() });
+        if (!result.ok) {
+          this.showToast(result.data?.error || 'Failed to create task', 'error');
+          return;
+        }
+        const created = result.data;
+        if (!this.data.tasks.some(t => String(t.id) === String(created._id))) this.data.tasks.push(this._mapTask(created));
         input.value = '';
         const board = document.querySelector('.tasks-board');
         if (board) this._renderBoard(board);
@@ -835,7 +3271,8 @@ class AppCore {
     items.forEach(t => {
       const div = document.createElement('div');
       div.className = 'pinned-card';
-      div.innerHTML = `<div class="title">${t.title}</div><div class="meta">Priority • ${t.priority}${t.assignee ? ` • ${t.assignee}` : ''}</div>`;
+      const chips = this._labelChips(t);
+      div.innerHTML = `${chips ? `<div class="card-labels">${chips}</div>` : ''}<div class="title">${this._escapeHtml(t.title)}</div><div class="meta">Priority • ${this._escapeHtml(t.priority)}${t.assignee ? ` • ${this._escapeHtml(t.assignee)}` : ''}</div>`;
       const actions = document.createElement('div');
       actions.className = 'pinned-actions';
       const unpin = document.createElement('button');
@@ -845,11 +3282,11 @@ class AppCore {
       unpin.addEventListener('click', async () => {
         t.starred = false;
         try {
-          const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
-          const tokenUnpin = localStorage.getItem('token') || '';
-          await fetch(`${base}/api/tasks/${t.id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...(tokenUnpin ? { Authorization: `Bearer ${tokenUnpin}` } : {}) }, body: JSON.stringify({ starred: false }) });
+          const result = await this._patchTask(t.id, { starred: false });
+          if (result.ok) this._recordChange(`Unpinned "${t.title}"`, [{ id: t.id, body: { starred: true } }], [{ id: t.id, body: { starred: false } }]);
         } catch (_) {}
         this.renderPinnedTasks();
+        this.renderRecentActivity();
       });
       actions.appendChild(unpin);
       div.appendChild(actions);
@@ -871,25 +3308,67 @@ class AppCore {
     ta.addEventListener('input', () => { save(); });
   }
 
-  renderRecentActivity() {
+  async renderRecentActivity() {
     const list = document.querySelector('.activity-list');
     if (!list) return;
-    const items = (this.data?.tasks || []).slice().sort((a,b) => (b.createdAt||0) - (a.createdAt||0)).slice(0,5);
+    let events = null;
+    try {
+      const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+      const token = localStorage.getItem('token') || '';
+      const res = await fetch(`${base}/api/activity?limit=5`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (res.ok) events = await res.json();
+    } catch (_) {}
     list.innerHTML = '';
-    items.forEach(t => {
+    if (!events) {
+      // Fall back to newest tasks when the activity feed is unavailable
+      events = (this.data?.tasks || []).slice().sort((a,b) => (b.createdAt||0) - (a.createdAt||0)).slice(0,5)
+        .map(t => ({ type: 'created', title: t.title, createdAt: t.createdAt, actor: { name: t.assignee || 'Unassigned' } }));
+    }
+    events.forEach(ev => {
       const li = document.createElement('li');
-      li.className = 'activity-item';
+      li.className = `activity-item ${ev.type}`;
       li.innerHTML = `
         <span class="bullet"></span>
         <div class="activity-content">
-          <div class="title">Added: ${t.title}</div>
-          <div class="meta">${this._timeAgo(t.createdAt)} • ${t.assignee || 'Unassigned'}</div>
+          <div class="title">${this._escapeHtml(this._describeEvent(ev))}</div>
+          <div class="meta">${this._timeAgo(ev.createdAt)} • ${this._escapeHtml(ev.actor?.name || 'Unknown')}</div>
         </div>
       `;
       list.appendChild(li);
     });
   }
 
+  /**
+   * One-line plain-text summary of a task event for the activity list; escape it before inserting as HTML
+   */
+  _describeEvent(ev) {
+    const changes = ev.changes || {};
+    const over = ev.wipOverride ? ' (over WIP limit)' : '';
+    switch (ev.type) {
+      case 'created': return `Added: ${ev.title}${over}`;
+      case 'completed': return `Completed: ${ev.title}${over}`;
+      case 'deleted': return `Deleted: ${ev.title}`;
+      case 'restored': return `Restored: ${ev.title}`;
+      case 'purged': return `Permanently deleted: ${ev.title}`;
+      case 'archived': return `${ev.automatic ? 'Auto-archived' : 'Archived'}: ${ev.title}`;
+      case 'unarchived': return `Unarchived: ${ev.title}`;
+      case 'moved': return `Moved: ${ev.title} → ${this._statusLabel(changes.status?.to)}${over}`;
+      default: {
+        const fields = Object.keys(changes);
+        if (fields.length === 1 && fields[0] === 'starred') return `${changes.starred.to ? 'Pinned' : 'Unpinned'}: ${ev.title}`;
+        if (fields.length === 1 && fields[0] === 'sprintId') {
+          const sprint = changes.sprintId.to && this._sprint(String(changes.sprintId.to));
+          return `${changes.sprintId.to ? `Added to ${sprint ? sprint.name : 'a sprint'}` : 'Moved to backlog'}: ${ev.title}`;
+        }
+        return `Edited: ${ev.title}${fields.length ? ` (${fields.join(', ')})` : ''}`;
+      }
+    }
+  }
+
+  _statusLabel(status) {
+    return this._column(status)?.name || status;
+  }
+
   _timeAgo(ts) {
     const d = typeof ts === 'number' ? ts : Date.parse(ts);
     const diff = Math.max(0, Date.now() - (d||Date.now()));
@@ -903,78 +3382,43 @@ class AppCore {
   updateTasksStatusWidget() {
     const stacks = document.querySelectorAll('.chart.stacked .stack');
     if (!stacks.length) return;
-    let count;
+    const columns = this._boardColumns();
     const board = document.querySelector('.tasks-board');
-    if (board) {
-      // Prefer live DOM counts when tasks board is present
-      count = {
-        backlog: board.querySelectorAll('.kanban-column[data-status="backlog"] .kanban-card').length,
-        progress: board.querySelectorAll('.kanban-column[data-status="in-progress"] .kanban-card').length,
-        review: board.querySelectorAll('.kanban-column[data-status="review"] .kanban-card').length,
-        done: board.querySelectorAll('.kanban-column[data-status="done"] .kanban-card').length,
-      };
-    } else {
-      // Fallback to data model counts
-      if (!this.data?.tasks) return;
-      count = {
-        backlog: this.data.tasks.filter(t => t.status === 'backlog').length,
-        progress: this.data.tasks.filter(t => t.status === 'in-progress').length,
-        review: this.data.tasks.filter(t => t.status === 'review').length,
-        done: this.data.tasks.filter(t => t.status === 'done').length,
-      };
-    }
-    const total = Math.max(1, (count.backlog + count.progress + count.review + count.done));
+    // Prefer live DOM counts when tasks board is present, else fall back to data model counts
+    if (!board && !this.data?.tasks) return;
+    const count = {};
+    columns.forEach(c => {
+      count[c.id] = board
+        ? board.querySelectorAll(`.kanban-column[data-status="${CSS.escape(c.id)}"] .kanban-card`).length
+        : this.data.tasks.filter(t => t.status === c.id).length;
+    });
+    const total = Math.max(1, columns.reduce((sum, c) => sum + count[c.id], 0));
+    // Round to whole percentages and put the residual on the last done column for visual stability
+    const widths = {};
+    columns.forEach(c => { widths[c.id] = Math.max(0, Math.round((count[c.id] / total) * 100)); });
+    const residual = ([...columns].reverse().find(c => c.done) || columns[columns.length - 1]).id;
+    const sum = columns.reduce((acc, c) => acc + widths[c.id], 0);
+    if (sum === 0) widths[residual] = 100;
+    else if (sum !== 100) widths[residual] = Math.max(0, widths[residual] + 100 - sum);
     stacks.forEach(chart => {
-      const segBacklog = chart.querySelector('.stack-segment.backlog');
-      const segProgress = chart.querySelector('.stack-segment.in-progress') || chart.querySelector('.stack-segment.progress');
-      const segReview = chart.querySelector('.stack-segment.review');
-      const segDone = chart.querySelector('.stack-segment.done');
-      const pct = s => (s/total)*100;
-      const widths = {
-        backlog: pct(count.backlog),
-        progress: pct(count.progress),
-        review: pct(count.review),
-        done: pct(count.done)
-      };
-      // Avoid integer rounding until assigning flex-basis; fix residual after rounding
-      const round = v => Math.max(0, Math.round(v));
-      let rb = round(widths.backlog), rp = round(widths.progress), rr = round(widths.review), rd = round(widths.done);
-      let sum = rb + rp + rr + rd;
-      if (sum === 0) { rd = 100; sum = 100; }
-      if (sum !== 100) {
-        const diff = 100 - sum;
-        // put residual on 'done' for visual stability
-        rd = Math.max(0, rd + diff);
-      }
-      // Account for container padding and gap by using flex-basis
-      const setBasis = (el, pct) => { if (el) el.style.flexBasis = `${pct}%`; };
-      setBasis(segBacklog, rb);
-      setBasis(segProgress, rp);
-      setBasis(segReview, rr);
-      setBasis(segDone, rd);
-      // Handle edge case: when one segment is 100%, ensure it still displays with its color
-      [
-        [segBacklog, 'backlog'],
-        [segProgress, 'progress'],
-        [segReview, 'review'],
-        [segDone, 'done']
-      ].forEach(([el, key]) => {
-        if (!el) return;
-        const w = { backlog: rb, progress: rp, review: rr, done: rd }[key];
-        el.style.display = w === 0 ? 'none' : 'block';
-        el.style.minWidth = w > 0 ? '2px' : '';
+      chart.innerHTML = '';
+      columns.forEach(c => {
+        const seg = document.createElement('div');
+        seg.className = 'stack-segment column';
+        seg.style.setProperty('--seg-color', c.color);
+        // Account for container padding and gap by using flex-basis
+        seg.style.flexBasis = `${widths[c.id]}%`;
+        // Hide empty segments but keep a sliver of any non-empty one visible
+        seg.style.display = widths[c.id] === 0 ? 'none' : 'block';
+        seg.style.minWidth = widths[c.id] > 0 ? '2px' : '';
+        chart.appendChild(seg);
       });
     });
     const legend = document.querySelector('.chart.stacked .legend');
     if (legend) {
-      const setCount = (cls, val) => {
-        const el = legend.querySelector(`.legend-count.${cls}`) || (cls === 'progress' ? legend.querySelector('.legend-count.in-progress') : null);
-        if (el) el.textContent = `(${val})`;
-      };
-      setCount('backlog', count.backlog);
-      setCount('progress', count.progress);
-      setCount('review', count.review);
-      setCount('done', count.done);
+      legend.innerHTML = columns
+        .map(c => `<span class="dot" style="background:${c.color}"></span> ${this._escapeHtml(c.name)} <span class="legend-count">(${count[c.id]})</span>`)
+        .join(' ');
     }
   }
 
@@ -983,7 +3427,11 @@ class AppCore {
     cols.forEach(c => {
       const countEl = c.querySelector('.count');
       const num = c.querySelectorAll('.column-body .kanban-card').length;
-      if (countEl) countEl.textContent = String(num);
+      const limit = this._column(c.getAttribute('data-status'))?.wipLimit;
+      if (countEl) countEl.textContent = limit ? `${num} / ${limit}` : String(num);
+      // Warn once a column is full, and more strongly when it is over its limit
+      c.classList.toggle('at-limit', Boolean(limit) && num === limit);
+      c.classList.toggle('over-limit', Boolean(limit) && num > limit);
     });
   }
 
@@ -997,6 +3445,7 @@ class AppCore {
     if (modal) modal.style.display = 'none';
     const form = document.getElementById('task-form');
     form?.reset();
+    form?.querySelector('.repeat-freq')?.dispatchEvent(new Event('change'));
     history.replaceState(null, '', 'tasks.html');
   }
 
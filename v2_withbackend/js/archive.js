@@ -0,0 +1,115 @@
+/**
+ * Archive page: tasks taken off the board, most recently archived first
+ *
+ * The list is GET /api/tasks?archived=only, searched by title and paged with
+ * the list cursor. Unarchiving goes through AppCore, which puts the task back
+ * at the bottom of its column.
+ */
+class ArchivePage {
+  constructor() {
+    this.query = '';
+    this.tasks = [];
+    this.total = 0;
+    this.cursor = null;
+    this.init();
+  }
+
+  init() {
+    if (window.app && window.app.ready) {
+      this.setupToolbar();
+      this.load();
+      // Tasks archived or unarchived here, in another tab or by the archive job
+      document.addEventListener('app:task', (e) => this.applyEvent(e.detail));
+      document.addEventListener('app:board', () => this.load());
+    } else {
+      document.addEventListener('app:ready', () => this.init(), { once: true });
+    }
+  }
+
+  setupToolbar() {
+    const search = document.getElementById('archive-search');
+    let timer = null;
+    search.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.query = search.value.trim();
+        this.load();
+      }, 250);
+    });
+    document.getElementById('archive-more').addEventListener('click', () => this.load(true));
+  }
+
+  async load(more = false) {
+    const base = (window.location.origin && window.location.origin.startsWith('http')) ? '' : 'http://localhost:3000';
+    const token = localStorage.getItem('token') || '';
+    const params = new URLSearchParams({ archived: 'only', sort: 'archivedAt', order: 'desc', limit: '50' });
+    if (this.query) params.set('q', this.query);
+    if (more && this.cursor) params.set('cursor', this.cursor);
+    const query = this.query;
+    try {
+      const res = await fetch(`${base}/api/tasks?${params}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      if (!res.ok) throw new Error('Could not load the archive');
+      const page = (await res.json()).map(t => window.app._mapTask(t));
+      // A newer search has started since
+      if (query !== this.query) return;
+      this.tasks = more ? this.tasks.concat(page) : page;
+      this.total = Number(res.headers.get('X-Total-Count')) || this.tasks.length;
+      this.cursor = res.headers.get('X-Next-Cursor');
+      this.render();
+    } catch (err) {
+      window.app.showToast(err.message, 'error');
+    }
+  }
+
+  matches(task) {
+    return !this.query || task.title.toLowerCase().includes(this.query.toLowerCase());
+  }
+
+  // Newly archived tasks go on top; unarchived and deleted ones leave the list
+  applyEvent({ type, task, id }) {
+    const idx = this.tasks.findIndex(t => String(t.id) === String(id));
+    if (type !== 'task.deleted' && task?.archivedAt) {
+      if (idx !== -1) this.tasks[idx] = task;
+      else if (this.matches(task)) {
+        this.tasks.unshift(task);
+        this.total++;
+      }
+    } else if (idx !== -1) {
+      this.tasks.splice(idx, 1);
+      this.total--;
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  render() {
+    const app = window.app;
+    const days = app.data.board?.archiveAfterDays;
+    document.getElementById('archive-note').textContent = days
+      ? `Tasks in a done column are archived automatically after ${days} day${days === 1 ? '' : 's'}.`
+      : 'Automatic archiving is off for this board.';
+    document.getElementById('archive-count').textContent = `${this.total} archived task${this.total === 1 ? '' : 's'}`;
+    const editable = app.data.role !== 'viewer';
+    const list = document.getElementById('archive-list');
+    list.innerHTML = this.tasks.map(t => `
+      <li data-id="${t.id}" style="--status-color:${app._column(t.status)?.color || '#94A3B8'}">
+        <div class="archive-info">
+          <span class="archive-title">${app._escapeHtml(t.title)}</span>
+          <span class="muted">${app._escapeHtml(app._statusLabel(t.status))} • ${t.priority}${t.assignee ? ` • ${app._escapeHtml(t.assignee)}` : ''} • ${t.archivedBy ? 'archived' : 'archived automatically'} ${app._timeAgo(t.archivedAt)}</span>
+        </div>
+        ${editable ? '<button class="button" data-action="unarchive">Unarchive</button>' : ''}
+      </li>`).join('') || `<li class="muted">${this.query ? 'No archived tasks match your search' : 'Nothing has been archived yet'}</li>`;
+    list.querySelectorAll('[data-action="unarchive"]').forEach(btn => btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      // AppCore's task event takes it out of the list
+      if (!(await app._unarchiveTask(btn.closest('li').dataset.id))) btn.disabled = false;
+    }));
+    document.getElementById('archive-more').hidden = !this.cursor;
+  }
+}
+
+// Initialize the archive page
+document.addEventListener('DOMContentLoaded', () => {
+  window.archivePage = new ArchivePage();
+});
@@ -0,0 +1,240 @@
+/**
+ * Calendar page: open tasks plotted on their deadlines
+ *
+ * Tasks come from AppCore, which keeps them current through the live event
+ * stream. Dropping a task on another day moves its deadline to that day,
+ * keeping the time of day, through PATCH /api/tasks/:id. Reschedules go into
+ * AppCore's undo history.
+ */
+class CalendarPage {
+  constructor() {
+    this.view = 'month';
+    this.cursor = new Date();
+    this.cursor.setHours(0, 0, 0, 0);
+    this.init();
+  }
+
+  init() {
+    if (window.app && window.app.ready) {
+      this.setupToolbar();
+      this.render();
+      // AppCore has already applied the change to its task list
+      document.addEventListener('app:task', () => this.render());
+      document.addEventListener('app:board', () => this.render());
+      // Later pages of AppCore's task load
+      document.addEventListener('app:tasks', () => this.render());
+    } else {
+      document.addEventListener('app:ready', () => this.init(), { once: true });
+    }
+  }
+
+  setupToolbar() {
+    const segments = document.querySelectorAll('#calendar-view .segment');
+    segments.forEach(btn => {
+      btn.addEventListener('click', () => {
+        segments.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.view = btn.getAttribute('data-view');
+        this.render();
+      });
+    });
+    document.querySelectorAll('[data-nav]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const step = btn.getAttribute('data-nav');
+        if (step === 'today') {
+          this.cursor = new Date();
+          this.cursor.setHours(0, 0, 0, 0);
+        } else {
+          const dir = step === 'next' ? 1 : -1;
+          if (this.view === 'month') this.cursor = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + dir, 1);
+          else this.cursor.setDate(this.cursor.getDate() + dir * (this.view === 'week' ? 7 : 30));
+        }
+        this.render();
+      });
+    });
+  }
+
+  // Local calendar day of a date, as YYYY-MM-DD
+  dayKey(date) {
+    return new Date(date).toLocaleDateString('en-CA');
+  }
+
+  // Monday of the week containing `date`
+  weekStart(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d;
+  }
+
+  // Open tasks with a deadline, grouped by local day and sorted by time
+  tasksByDay() {
+    const byDay = new Map();
+    (window.app.data?.tasks || [])
+      .filter(t => t.deadline && !window.app._isDone(t.status) && !Number.isNaN(new Date(t.deadline).getTime()))
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline))
+      .forEach(t => {
+        const key = this.dayKey(t.deadline);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(t);
+      });
+    return byDay;
+  }
+
+  render() {
+    const grid = document.getElementById('calendar-grid');
+    if (!grid) return;
+    const byDay = this.tasksByDay();
+    const title = document.getElementById('calendar-title');
+    if (this.view === 'month') {
+      title.textContent = this.cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+      grid.innerHTML = this.renderMonth(byDay);
+    } else if (this.view === 'week') {
+      const start = this.weekStart(this.cursor);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 6);
+      title.textContent = `${start.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })} – ${end.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+      grid.innerHTML = this.renderWeek(byDay, start);
+    } else {
+      title.textContent = `From ${this.cursor.toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' })}`;
+      grid.innerHTML = this.renderAgenda(byDay);
+    }
+    this.wireDragAndDrop(grid);
+  }
+
+  renderMonth(byDay) {
+    const first = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+    const start = this.weekStart(first);
+    const today = this.dayKey(new Date());
+    const names = Array.from({ length: 7 }, (_, i) => {
+      const d = new Date(start);
+      d.setDate(d.getDate() + i);
+      return `<div class="calendar-weekday">${d.toLocaleDateString(undefined, { weekday: 'short' })}</div>`;
+    }).join('');
+    // Always six weeks, so the grid keeps its height from month to month
+    const cells = Array.from({ length: 42 }, (_, i) => {
+      const d = new Date(start);
+      d.setDate(d.getDate() + i);
+      const key = this.dayKey(d);
+      const tasks = byDay.get(key) || [];
+      const classes = ['calendar-day'];
+      if (d.getMonth() !== first.getMonth()) classes.push('outside');
+      if (key === today) classes.push('today');
+      return `
+        <div class="${classes.join(' ')}" data-day="${key}">
+          <div class="calendar-date">${d.getDate()}</div>
+          ${tasks.map(t => this.taskChip(t, false)).join('')}
+        </div>`;
+    }).join('');
+    return `<div class="calendar-month">${names}${cells}</div>`;
+  }
+
+  renderWeek(byDay, start) {
+    const today = this.dayKey(new Date());
+    const days = Array.from({ length: 7 }, (_, i) => {
+      const d = new Date(start);
+      d.setDate(d.getDate() + i);
+      const key = this.dayKey(d);
+      const tasks = byDay.get(key) || [];
+      return `
+        <div class="calendar-day${key === today ? ' today' : ''}" data-day="${key}">
+          <div class="calendar-date">${d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</div>
+          ${tasks.map(t => this.taskChip(t, true)).join('') || '<p class="muted">Nothing due</p>'}
+        </div>`;
+    }).join('');
+    return `<div class="calendar-week">${days}</div>`;
+  }
+
+  // Overdue tasks, then the next 30 days that have something due
+  renderAgenda(byDay) {
+    const from = this.dayKey(this.cursor);
+    const until = new Date(this.cursor);
+    until.setDate(until.getDate() + 30);
+    const to = this.dayKey(until);
+    const today = this.dayKey(new Date());
+    const overdue = [...byDay.entries()].filter(([key]) => key < today && key < from).flatMap(([, tasks]) => tasks);
+    const upcoming = [...byDay.entries()].filter(([key]) => key >= from && key < to).sort(([a], [b]) => a.localeCompare(b));
+    const section = (label, tasks, key = '') => `
+      <section class="agenda-day"${key ? ` data-day="${key}"` : ''}>
+        <h4>${label}</h4>
+        ${tasks.map(t => this.taskChip(t, true)).join('')}
+      </section>`;
+    const html = [
+      overdue.length ? section('Overdue', overdue) : '',
+      ...upcoming.map(([key, tasks]) => {
+        const label = new Date(`${key}T00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+        return section(key === today ? `Today • ${label}` : label, tasks, key);
+      })
+    ].join('');
+    return `<div class="calendar-agenda">${html || '<p class="muted">No open tasks are due in the next 30 days.</p>'}</div>`;
+  }
+
+  // Fill colour by priority, left edge by the task's board column
+  taskChip(task, detailed) {
+    const app = window.app;
+    const column = app._column(task.status);
+    const time = new Date(task.deadline).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    const overdue = new Date(task.deadline) < new Date();
+    const draggable = app.data.role !== 'viewer';
+    const tip = `${task.title}\n${app._statusLabel(task.status)} • ${task.priority}${task.assignee ? ` • ${task.assignee}` : ''}\nDue ${new Date(task.deadline).toLocaleString()}`;
+    return `
+      <div class="calendar-task priority-${String(task.priority).toLowerCase()}${overdue ? ' overdue' : ''}"
+           data-id="${task.id}" draggable="${draggable}" title="${app._escapeHtml(tip)}"
+           style="--status-color:${column?.color || '#94A3B8'}">
+        <span class="calendar-task-time">${time}</span>
+        <span class="calendar-task-title">${app._escapeHtml(task.title)}</span>
+        ${detailed ? `<span class="calendar-task-meta">${app._escapeHtml(app._statusLabel(task.status))}${task.assignee ? ` • ${app._escapeHtml(task.assignee)}` : ''}</span>` : ''}
+      </div>`;
+  }
+
+  wireDragAndDrop(grid) {
+    grid.querySelectorAll('.calendar-task[draggable="true"]').forEach(el => {
+      el.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', el.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        el.classList.add('dragging');
+      });
+      el.addEventListener('dragend', () => el.classList.remove('dragging'));
+    });
+    grid.querySelectorAll('[data-day]').forEach(day => {
+      day.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        day.classList.add('drop-target');
+      });
+      day.addEventListener('dragleave', () => day.classList.remove('drop-target'));
+      day.addEventListener('drop', (e) => {
+        e.preventDefault();
+        day.classList.remove('drop-target');
+        const id = e.dataTransfer.getData('text/plain');
+        if (id) this.reschedule(id, day.dataset.day);
+      });
+    });
+  }
+
+  async reschedule(id, key) {
+    const app = window.app;
+    const task = (app.data?.tasks || []).find(t => String(t.id) === String(id));
+    if (!task || this.dayKey(task.deadline) === key) return;
+    const previous = task.deadline;
+    const [year, month, date] = key.split('-').map(Number);
+    const next = new Date(task.deadline);
+    next.setFullYear(year, month - 1, date);
+    // Move it right away; the server's answer or the live event settles it
+    task.deadline = next.toISOString();
+    this.render();
+    const result = await app._patchTask(id, { deadline: task.deadline });
+    if (result.ok) {
+      Object.assign(task, app._mapTask(result.data));
+      app._recordChange(`Rescheduled to ${next.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}`, [{ id, body: { deadline: previous } }], [{ id, body: { deadline: task.deadline } }]);
+    } else {
+      task.deadline = previous;
+      app.showToast(result.data?.error || 'Could not reschedule task', 'error');
+    }
+    this.render();
+  }
+}
+
+// Initialize the calendar page
+document.addEventListener('DOMContentLoaded', () => {
+  window.calendarPage = new CalendarPage();
+});
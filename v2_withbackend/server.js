@@ -4,6 +4,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { MongoClient, ObjectId } from 'mongodb';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import multer from 'multer';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,10 +14,19 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
 const DB_NAME = process.env.DB_NAME || 'taskmaster';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_MB || 10) * 1024 * 1024;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+// Boards that don't set archiveAfterDays archive done tasks after this many days
+const ARCHIVE_AFTER_DAYS = Number(process.env.ARCHIVE_AFTER_DAYS || 14);
 
 let client;
 let db;
+// Set at connect: whether the deployment supports transactions (a replica set or mongos)
+let transactions = false;
 
+// Imports carry whole CSV files and Trello board exports, so they get a larger body limit
+app.use('/api/tasks/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Basic CORS to support file:// previews or different origins
@@ -23,6 +34,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.header('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -47,12 +59,63 @@ app.use(async (req, res, next) => {
   next();
 });
 
+// Attachments are only served through the authenticated download route, even when stored under the static root
+const uploadsRoute = path.relative(__dirname, UPLOAD_DIR);
+if (uploadsRoute && !uploadsRoute.startsWith('..') && !path.isAbsolute(uploadsRoute)) {
+  app.use(`/${uploadsRoute.split(path.sep).join('/')}`, (req, res) => res.sendStatus(404));
+}
+
 app.use(express.static(__dirname, { index: false }));
 
 async function connectMongo() {
   client = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
   await client.connect();
   db = client.db(DB_NAME);
+  const hello = await db.admin().command({ hello: 1 });
+  transactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  if (!transactions) console.warn('MongoDB is not a replica set, so bulk task changes are disabled. Run mongod with --replSet (a single node is enough) to enable them.');
+  await ensureIndexes();
+  await backfillTaskRanks();
+}
+
+async function ensureIndexes() {
+  // At most one personal workspace per user; also guards the lazy creation race
+  await db.collection('workspaces').createIndex({ ownerId: 1 }, { unique: true, partialFilterExpression: { personal: true } });
+  await db.collection('workspaces').createIndex({ 'members.userId': 1 });
+  await db.collection('workspace_invites').createIndex({ token: 1 }, { unique: true });
+  await db.collection('workspace_invites').createIndex({ email: 1, acceptedAt: 1 });
+  // Task listing: default order, the filterable fields and the sortable fields
+  await db.collection('tasks').createIndex({ workspaceId: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, status: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, priority: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, assignee: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, starred: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, deadline: 1, _id: 1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, createdAt: -1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, title: 1, _id: 1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, status: 1, rank: 1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, rank: 1, _id: 1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, labels: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ workspaceId: 1, sprintId: 1, rank: 1 });
+  // Trashed tasks: the trash view per workspace, and the retention purge across workspaces
+  await db.collection('tasks').createIndex({ workspaceId: 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'number' } } });
+  await db.collection('tasks').createIndex({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'number' } } });
+  await db.collection('tasks').createIndex({ workspaceId: 1, archivedAt: -1, _id: -1 }, { partialFilterExpression: { archivedAt: { $type: 'number' } } });
+  await db.collection('sprints').createIndex({ workspaceId: 1, startDate: -1 });
+  // Burndown finds tasks that ever entered or left a sprint through their history
+  await db.collection('task_events').createIndex({ 'changes.sprintId.to': 1 }, { partialFilterExpression: { 'changes.sprintId': { $exists: true } } });
+  await db.collection('task_events').createIndex({ 'changes.sprintId.from': 1 }, { partialFilterExpression: { 'changes.sprintId': { $exists: true } } });
+  await db.collection('task_events').createIndex({ taskId: 1, _id: -1 });
+  await db.collection('task_events').createIndex({ workspaceId: 1, _id: -1 });
+  await db.collection('tasks').createIndex({ parentId: 1, childPosition: 1 }, { partialFilterExpression: { parentId: { $exists: true } } });
+  await db.collection('task_comments').createIndex({ taskId: 1, _id: 1 });
+  await db.collection('notifications').createIndex({ userId: 1, _id: -1 });
+  await db.collection('notifications').createIndex({ userId: 1, readAt: 1 });
+  await db.collection('users').createIndex({ calendarToken: 1 }, { unique: true, sparse: true });
+  // One running timer per user, across workspaces
+  await db.collection('time_entries').createIndex({ userId: 1 }, { unique: true, partialFilterExpression: { running: true } });
+  await db.collection('time_entries').createIndex({ taskId: 1, startedAt: -1 });
+  await db.collection('time_entries').createIndex({ workspaceId: 1, startedAt: -1 });
 }
 
 function hashPassword(password) {
@@ -86,12 +149,82 @@ async function authRequired(req, res, next) {
     const session = await getSession(token);
     if (!session) return res.status(401).json({ error: 'Unauthorized' });
     req.userId = session.userId;
+    req.session = session;
     next();
   } catch (e) {
     res.status(401).json({ error: 'Unauthorized' });
   }
 }
 
+// Workspace roles, lowest to highest privilege
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+function memberRole(ws, userId) {
+  const m = (ws?.members || []).find(x => String(x.userId) === String(userId));
+  return m ? m.role : null;
+}
+async function ensurePersonalWorkspace(userId) {
+  const uid = new ObjectId(userId);
+  const existing = await db.collection('workspaces').findOne({ ownerId: uid, personal: true });
+  if (existing) return existing;
+  const user = await db.collection('users').findOne({ _id: uid }, { projection: { name: 1 } });
+  const now = Date.now();
+  const doc = {
+    name: `${user?.name || 'My'}'s workspace`,
+    ownerId: uid,
+    personal: true,
+    members: [{ userId: uid, role: 'owner', joinedAt: now }],
+    createdAt: now
+  };
+  try {
+    const result = await db.collection('workspaces').insertOne(doc);
+    // Adopt tasks created before workspaces existed
+    await db.collection('tasks').updateMany({ userId: uid, workspaceId: { $exists: false } }, { $set: { workspaceId: result.insertedId } });
+    return { _id: result.insertedId, ...doc };
+  } catch (e) {
+    if (e.code === 11000) return db.collection('workspaces').findOne({ ownerId: uid, personal: true });
+    throw e;
+  }
+}
+// Resolve the session's active workspace (falls back to the personal one)
+async function workspaceRequired(req, res, next) {
+  try {
+    const uid = new ObjectId(req.userId);
+    let ws = null;
+    if (req.session.workspaceId) {
+      ws = await db.collection('workspaces').findOne({ _id: new ObjectId(req.session.workspaceId), 'members.userId': uid });
+    }
+    if (!ws) ws = await ensurePersonalWorkspace(req.userId);
+    req.workspace = ws;
+    req.workspaceId = ws._id;
+    req.role = memberRole(ws, uid);
+    next();
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to resolve workspace' });
+  }
+}
+// Load the workspace named by :id, requiring membership
+async function workspaceParam(req, res, next) {
+  try {
+    const ws = await db.collection('workspaces').findOne({ _id: new ObjectId(req.params.id), 'members.userId': new ObjectId(req.userId) });
+    if (!ws) return res.status(404).json({ error: 'Not found' });
+    req.workspace = ws;
+    req.workspaceId = ws._id;
+    req.role = memberRole(ws, req.userId);
+    next();
+  } catch (e) {
+    res.status(404).json({ error: 'Not found' });
+  }
+}
+function requireRole(min) {
+  return (req, res, next) => {
+    if (!roleAtLeast(req.role, min)) return res.status(403).json({ error: 'Forbidden' });
+    next();
+  };
+}
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
@@ -136,93 +269,2728 @@ app.post('/api/auth/logout', authRequired, async (req, res) => {
   await db.collection('sessions').deleteOne({ token });
   res.json({ ok: true });
 });
-app.get('/api/tasks', authRequired, async (req, res) => {
+
+// iCalendar feed of open task deadlines. Calendar clients cannot send our bearer token, so each
+// user gets a secret feed token instead; rotating it cuts off every existing subscription.
+const CALENDAR_ALARM_MINUTES = 60;
+
+function calendarFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+}
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+// Content lines are folded at 75 octets, never splitting a UTF-8 character
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+const ICS_PRIORITY = { High: 1, Medium: 5, Low: 9 };
+
+function taskVevent(task, ws, { alarm, baseUrl, now }) {
+  const board = workspaceBoard(ws);
+  const labelName = new Map((ws.labels || []).map(l => [String(l.id), l.name]));
+  const labels = (task.labels || []).map(id => labelName.get(String(id))).filter(Boolean);
+  const due = new Date(task.deadline).getTime();
+  const details = [
+    `Workspace: ${ws.name}`,
+    `Status: ${boardColumn(board, task.status)?.name || task.status}`,
+    `Priority: ${task.priority}`,
+    task.assignee ? `Assignee: ${task.assignee}` : null
+  ].filter(Boolean).join('\n');
+  const lines = [
+    'BEGIN:VEVENT',
+    // The UID never changes, so clients update the event in place when the task is edited
+    `UID:task-${task._id}@taskmaster`,
+    `DTSTAMP:${icsDate(now)}`,
+    // A deadline is a point in time: DTSTART alone, as DTEND would have to come after it
+    `DTSTART:${icsDate(due)}`,
+    `SUMMARY:${icsText(task.title)}`,
+    `DESCRIPTION:${icsText(details)}`,
+    `PRIORITY:${ICS_PRIORITY[task.priority] || 0}`,
+    ...(labels.length ? [`CATEGORIES:${labels.map(icsText).join(',')}`] : []),
+    `URL:${baseUrl}/tasks.html`,
+    'TRANSP:TRANSPARENT'
+  ];
+  if (alarm > 0) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsText(`Due: ${task.title}`)}`, `TRIGGER:-PT${alarm}M`, 'END:VALARM');
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// The current user's feed URL, creating the token on first use
+app.get('/api/calendar/feed', authRequired, async (req, res) => {
+  try {
+    const uid = new ObjectId(req.userId);
+    const user = await db.collection('users').findOne({ _id: uid }, { projection: { calendarToken: 1 } });
+    let token = user?.calendarToken;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      await db.collection('users').updateOne({ _id: uid, calendarToken: { $exists: false } }, { $set: { calendarToken: token } });
+      token = (await db.collection('users').findOne({ _id: uid }, { projection: { calendarToken: 1 } })).calendarToken;
+    }
+    res.json({ url: calendarFeedUrl(req, token) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+app.post('/api/calendar/feed/rotate', authRequired, async (req, res) => {
   try {
-    const tasks = await db.collection('tasks').find({ userId: new ObjectId(req.userId) }).sort({ _id: -1 }).toArray();
-    res.json(tasks);
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.collection('users').updateOne({ _id: new ObjectId(req.userId) }, { $set: { calendarToken: token } });
+    res.json({ url: calendarFeedUrl(req, token) });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
   }
 });
 
-app.post('/api/tasks', authRequired, async (req, res) => {
+/**
+ * GET /api/calendar/:token.ics
+ * RFC 5545 calendar of open tasks with deadlines in every workspace the token's owner belongs to.
+ * ?alarm=<minutes> sets the reminder before each deadline (default 60; 0 turns reminders off).
+ */
+app.get('/api/calendar/:token.ics', async (req, res) => {
   try {
-    const { title, priority = 'Medium', status = 'backlog', assignee = '', starred = false, deadline } = req.body;
-    if (!title || typeof title !== 'string') {
-      return res.status(400).json({ error: 'Title is required' });
+    const user = await db.collection('users').findOne({ calendarToken: String(req.params.token) }, { projection: { _id: 1 } });
+    if (!user) return res.status(404).send('Not found');
+    const alarm = req.query.alarm !== undefined ? Math.min(10080, Math.max(0, parseInt(req.query.alarm, 10) || 0)) : CALENDAR_ALARM_MINUTES;
+    const workspaces = await db.collection('workspaces').find({ 'members.userId': user._id }).toArray();
+    if (!workspaces.length) workspaces.push(await ensurePersonalWorkspace(user._id));
+    const byId = new Map(workspaces.map(ws => [String(ws._id), ws]));
+    const tasks = await db.collection('tasks').find({
+      $or: workspaces.map(ws => ({ workspaceId: ws._id, status: { $nin: doneStatuses(workspaceBoard(ws)) } })),
+      deadline: { $ne: null },
+      deletedAt: null,
+      archivedAt: null
+    }).sort({ deadline: 1 }).toArray();
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const now = Date.now();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TaskMaster//Task deadlines//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:TaskMaster deadlines',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H',
+      ...tasks
+        .filter(t => !Number.isNaN(new Date(t.deadline).getTime()))
+        .flatMap(t => taskVevent(t, byId.get(String(t.workspaceId)), { alarm, baseUrl, now })),
+      'END:VCALENDAR'
+    ];
+    res.set('Cache-Control', 'no-cache');
+    res.type('text/calendar; charset=utf-8').send(lines.map(icsFold).join('\r\n') + '\r\n');
+  } catch (err) {
+    res.status(500).send('Failed to build calendar');
+  }
+});
+app.get('/api/workspaces', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const list = await db.collection('workspaces').find({ 'members.userId': new ObjectId(req.userId) }).sort({ personal: -1, createdAt: 1 }).toArray();
+    res.json({
+      activeId: req.workspaceId,
+      workspaces: list.map(ws => ({ id: ws._id, name: ws.name, personal: Boolean(ws.personal), role: memberRole(ws, req.userId), memberCount: ws.members.length }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+app.post('/api/workspaces', authRequired, async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    const uid = new ObjectId(req.userId);
+    const now = Date.now();
+    const doc = { name, ownerId: uid, personal: false, members: [{ userId: uid, role: 'owner', joinedAt: now }], createdAt: now };
+    const result = await db.collection('workspaces').insertOne(doc);
+    res.status(201).json({ id: result.insertedId, name, personal: false, role: 'owner', memberCount: 1 });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+app.patch('/api/workspaces/:id', authRequired, workspaceParam, requireRole('admin'), async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $set: { name } });
+    res.json({ id: req.workspaceId, name });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+app.delete('/api/workspaces/:id', authRequired, workspaceParam, requireRole('owner'), async (req, res) => {
+  try {
+    if (req.workspace.personal) return res.status(400).json({ error: 'Personal workspace cannot be deleted' });
+    const withFiles = await db.collection('tasks').find({ workspaceId: req.workspaceId, 'attachments.0': { $exists: true } }, { projection: { attachments: 1 } }).toArray();
+    await db.collection('tasks').deleteMany({ workspaceId: req.workspaceId });
+    await removeAttachmentFiles(withFiles.flatMap(t => t.attachments));
+    await db.collection('task_comments').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('time_entries').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('task_events').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('notifications').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('sprints').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('workspace_invites').deleteMany({ workspaceId: req.workspaceId });
+    await db.collection('workspaces').deleteOne({ _id: req.workspaceId });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+// Make :id the active workspace for this session
+app.post('/api/workspaces/:id/switch', authRequired, workspaceParam, async (req, res) => {
+  try {
+    await db.collection('sessions').updateOne({ token: req.session.token }, { $set: { workspaceId: req.workspaceId } });
+    res.json({ activeId: req.workspaceId, role: req.role });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to switch workspace' });
+  }
+});
+
+app.get('/api/workspaces/:id/members', authRequired, workspaceParam, async (req, res) => {
+  try {
+    const ids = req.workspace.members.map(m => m.userId);
+    const users = await db.collection('users').find({ _id: { $in: ids } }, { projection: { name: 1, email: 1 } }).toArray();
+    const byId = new Map(users.map(u => [String(u._id), u]));
+    res.json(req.workspace.members.map(m => {
+      const u = byId.get(String(m.userId)) || {};
+      return { userId: m.userId, name: u.name, email: u.email, role: m.role, joinedAt: m.joinedAt };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+app.patch('/api/workspaces/:id/members/:userId', authRequired, workspaceParam, requireRole('admin'), async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    const current = memberRole(req.workspace, req.params.userId);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    // Admins may only manage roles below their own; owners may manage anyone
+    if (req.role !== 'owner' && (roleAtLeast(current, req.role) || roleAtLeast(role, req.role))) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
-    const now = new Date();
+    const owners = req.workspace.members.filter(m => m.role === 'owner').length;
+    if (current === 'owner' && role !== 'owner' && owners <= 1) {
+      return res.status(400).json({ error: 'Workspace must keep at least one owner' });
+    }
+    await db.collection('workspaces').updateOne(
+      { _id: req.workspaceId, 'members.userId': new ObjectId(req.params.userId) },
+      { $set: { 'members.$.role': role } }
+    );
+    res.json({ userId: req.params.userId, role });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+app.delete('/api/workspaces/:id/members/:userId', authRequired, workspaceParam, async (req, res) => {
+  try {
+    const current = memberRole(req.workspace, req.params.userId);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const self = String(req.params.userId) === String(req.userId);
+    // Members may leave; admins may remove anyone below them; owners may remove anyone
+    if (!self && !(req.role === 'owner' || (roleAtLeast(req.role, 'admin') && !roleAtLeast(current, req.role)))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const owners = req.workspace.members.filter(m => m.role === 'owner').length;
+    if (current === 'owner' && owners <= 1) return res.status(400).json({ error: 'Workspace must keep at least one owner' });
+    await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $pull: { members: { userId: new ObjectId(req.params.userId) } } });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+app.post('/api/workspaces/:id/invites', authRequired, workspaceParam, requireRole('admin'), async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const role = req.body?.role || 'member';
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!ROLES.includes(role) || role === 'owner') return res.status(400).json({ error: 'Invalid role' });
+    if (req.role !== 'owner' && roleAtLeast(role, req.role)) return res.status(403).json({ error: 'Forbidden' });
+    const invitee = await db.collection('users').findOne({ email }, { collation: { locale: 'en', strength: 2 } });
+    if (invitee && memberRole(req.workspace, invitee._id)) return res.status(409).json({ error: 'Already a member' });
+    const now = Date.now();
     const doc = {
-      title,
-      priority,
-      status,
-      assignee,
-      starred: Boolean(starred),
-      createdAt: Date.now(),
-      assignedAt: now.toISOString(),
-      assignedAtIST: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true }),
-      userId: new ObjectId(req.userId)
+      workspaceId: req.workspaceId,
+      email,
+      role,
+      token: crypto.randomBytes(16).toString('hex'),
+      invitedBy: new ObjectId(req.userId),
+      createdAt: now,
+      expiresAt: now + 1000 * 60 * 60 * 24 * 14,
+      acceptedAt: null
     };
-    if (deadline) {
-      // Accept both "YYYY-MM-DDTHH:MM" from datetime-local and ISO strings
-      try {
-        doc.deadline = new Date(String(deadline).replace(' ', 'T')).toISOString();
-      } catch (_) { doc.deadline = null; }
-    } else {
-      doc.deadline = null;
-    }
-    const result = await db.collection('tasks').insertOne(doc);
-    res.status(201).json({ _id: result.insertedId, ...doc });
+    await db.collection('workspace_invites').insertOne(doc);
+    res.status(201).json({ token: doc.token, email, role, expiresAt: doc.expiresAt });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to create task' });
+    res.status(500).json({ error: 'Failed to create invite' });
   }
 });
 
-app.patch('/api/tasks/:id', authRequired, async (req, res) => {
+app.get('/api/workspaces/:id/invites', authRequired, workspaceParam, requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const update = {};
-    ['title','priority','status','assignee','starred','deadline'].forEach(k => {
-      if (req.body[k] !== undefined) update[k] = req.body[k];
-    });
-    if (update.deadline) {
-      try {
-        let dstr = String(update.deadline).replace(' ', 'T');
-        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(dstr)) dstr += ':00';
-        update.deadline = new Date(dstr).toISOString();
-      } catch (_) { delete update.deadline; }
+    const invites = await db.collection('workspace_invites')
+      .find({ workspaceId: req.workspaceId, acceptedAt: null, expiresAt: { $gt: Date.now() } }, { projection: { token: 1, email: 1, role: 1, createdAt: 1, expiresAt: 1 } })
+      .toArray();
+    res.json(invites);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+app.delete('/api/workspaces/:id/invites/:token', authRequired, workspaceParam, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.collection('workspace_invites').deleteOne({ workspaceId: req.workspaceId, token: req.params.token, acceptedAt: null });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Pending invites addressed to the signed-in user
+app.get('/api/invites', authRequired, async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.userId) }, { projection: { email: 1 } });
+    const invites = await db.collection('workspace_invites')
+      .find({ email: String(user?.email || '').toLowerCase(), acceptedAt: null, expiresAt: { $gt: Date.now() } })
+      .toArray();
+    const wsIds = invites.map(i => i.workspaceId);
+    const names = new Map((await db.collection('workspaces').find({ _id: { $in: wsIds } }, { projection: { name: 1 } }).toArray()).map(w => [String(w._id), w.name]));
+    res.json(invites.filter(i => names.has(String(i.workspaceId))).map(i => ({ token: i.token, role: i.role, workspaceId: i.workspaceId, workspaceName: names.get(String(i.workspaceId)) })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+app.post('/api/invites/:token/accept', authRequired, async (req, res) => {
+  try {
+    const uid = new ObjectId(req.userId);
+    const user = await db.collection('users').findOne({ _id: uid }, { projection: { email: 1 } });
+    const invite = await db.collection('workspace_invites').findOne({ token: req.params.token, acceptedAt: null });
+    if (!invite || invite.expiresAt < Date.now()) return res.status(404).json({ error: 'Invite not found or expired' });
+    if (invite.email !== String(user?.email || '').toLowerCase()) return res.status(403).json({ error: 'Invite was sent to a different email' });
+    await db.collection('workspaces').updateOne(
+      { _id: invite.workspaceId, 'members.userId': { $ne: uid } },
+      { $push: { members: { userId: uid, role: invite.role, joinedAt: Date.now() } } }
+    );
+    await db.collection('workspace_invites').updateOne({ _id: invite._id }, { $set: { acceptedAt: Date.now() } });
+    await db.collection('sessions').updateOne({ token: req.session.token }, { $set: { workspaceId: invite.workspaceId } });
+    res.json({ workspaceId: invite.workspaceId, role: invite.role });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// Workflow board per workspace. Columns marked `done` count as completed work; `wipLimit` caps how many tasks a column holds.
+// `transitions` maps a column id to the ids it may move to; null, or a column missing from the map, allows any move.
+// `archiveAfterDays` is how long tasks stay in a done column before they are archived; null never archives them.
+const DEFAULT_BOARD = {
+  columns: [
+    { id: 'backlog', name: 'Backlog', color: '#EF4444', done: false, wipLimit: null },
+    { id: 'in-progress', name: 'In Progress', color: '#60A5FA', done: false, wipLimit: null },
+    { id: 'review', name: 'Review', color: '#A78BFA', done: false, wipLimit: null },
+    { id: 'done', name: 'Done', color: '#22C55E', done: true, wipLimit: null }
+  ],
+  transitions: null,
+  archiveAfterDays: ARCHIVE_AFTER_DAYS
+};
+const MAX_COLUMNS = 20;
+const MAX_ARCHIVE_DAYS = 365;
+
+// Boards saved before archiving existed get the default delay
+function workspaceBoard(ws) {
+  return ws?.board ? { archiveAfterDays: ARCHIVE_AFTER_DAYS, ...ws.board } : DEFAULT_BOARD;
+}
+function boardColumn(board, status) {
+  return board.columns.find(c => c.id === status) || null;
+}
+function isDoneStatus(board, status) {
+  return Boolean(boardColumn(board, status)?.done);
+}
+function doneStatuses(board) {
+  return board.columns.filter(c => c.done).map(c => c.id);
+}
+// The column's WIP limit details when adding one more task would exceed it, else null
+async function wipExceeded(req, board, status, excludeId = null) {
+  const limit = boardColumn(board, status)?.wipLimit;
+  if (!limit) return null;
+  const filter = { workspaceId: req.workspaceId, status, deletedAt: null, archivedAt: null };
+  if (excludeId) filter._id = { $ne: new ObjectId(excludeId) };
+  const count = await db.collection('tasks').countDocuments(filter);
+  return count >= limit ? { status, limit, count } : null;
+}
+function canTransition(board, from, to) {
+  if (from === to || !board.transitions || !board.transitions[from]) return true;
+  return board.transitions[from].includes(to);
+}
+function slugify(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+// Validate a board definition from the client; new columns get an id derived from their name
+function parseBoard(body) {
+  const input = body?.columns;
+  if (!Array.isArray(input) || !input.length || input.length > MAX_COLUMNS) {
+    return { error: `A board needs between 1 and ${MAX_COLUMNS} columns` };
+  }
+  const columns = [];
+  for (const c of input) {
+    const name = String(c?.name || '').trim().slice(0, 40);
+    if (!name) return { error: 'Every column needs a name' };
+    let id = c.id ? String(c.id) : slugify(name) || 'column';
+    if (!c.id) {
+      const base = id;
+      for (let n = 2; columns.some(x => x.id === id); n++) id = `${base}-${n}`;
     }
-    // If moving to done, stamp completedAt
-    if (update.status === 'done') {
-      const now = new Date();
-      update.completedAt = now.toISOString();
-      update.completedAtIST = now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true });
+    if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(id)) return { error: `Invalid column id "${id}"` };
+    if (columns.some(x => x.id === id)) return { error: `Duplicate column "${id}"` };
+    const color = /^#[0-9a-f]{6}$/i.test(c.color || '') ? c.color : '#94A3B8';
+    const wipLimit = c.wipLimit ? Number(c.wipLimit) : null;
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) return { error: `WIP limit for "${name}" must be a positive whole number` };
+    columns.push({ id, name, color, done: Boolean(c.done), wipLimit });
+  }
+  if (!columns.some(c => c.done)) return { error: 'Mark at least one column as done' };
+  let transitions = null;
+  if (body.transitions) {
+    if (typeof body.transitions !== 'object') return { error: 'transitions must map column ids to lists of column ids' };
+    const ids = new Set(columns.map(c => c.id));
+    transitions = {};
+    for (const [from, to] of Object.entries(body.transitions)) {
+      if (!ids.has(from) || !Array.isArray(to) || !to.every(t => ids.has(t))) {
+        return { error: `Transitions from "${from}" reference an unknown column` };
+      }
+      transitions[from] = [...new Set(to)];
     }
-    const result = await db.collection('tasks').findOneAndUpdate(
-      { _id: new ObjectId(id), userId: new ObjectId(req.userId) },
-      { $set: update },
-      { returnDocument: 'after' }
+  }
+  let archiveAfterDays = null;
+  if (body.archiveAfterDays !== null && body.archiveAfterDays !== undefined && body.archiveAfterDays !== '') {
+    archiveAfterDays = Number(body.archiveAfterDays);
+    if (!Number.isInteger(archiveAfterDays) || archiveAfterDays < 1 || archiveAfterDays > MAX_ARCHIVE_DAYS) {
+      return { error: `archiveAfterDays must be a whole number of days from 1 to ${MAX_ARCHIVE_DAYS}, or null` };
+    }
+  }
+  return { board: { columns, transitions, archiveAfterDays } };
+}
+
+app.get('/api/board', authRequired, workspaceRequired, (req, res) => {
+  res.json(workspaceBoard(req.workspace));
+});
+
+// Replace the active workspace's board. Tasks in removed columns must be moved with
+// remap: { removedId: keptId }, otherwise the request fails with 409 and the affected columns.
+// Leaving out archiveAfterDays keeps the current setting.
+app.put('/api/board', authRequired, workspaceRequired, requireRole('admin'), async (req, res) => {
+  try {
+    const parsed = parseBoard({ archiveAfterDays: workspaceBoard(req.workspace).archiveAfterDays, ...req.body });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { board } = parsed;
+    const kept = new Set(board.columns.map(c => c.id));
+    const removed = workspaceBoard(req.workspace).columns.map(c => c.id).filter(id => !kept.has(id));
+    const remap = req.body.remap || {};
+    const stranded = [];
+    for (const id of removed) {
+      if (kept.has(remap[id])) continue;
+      const count = await db.collection('tasks').countDocuments({ workspaceId: req.workspaceId, status: id, deletedAt: null });
+      if (count) stranded.push({ id, count });
+    }
+    if (stranded.length) return res.status(409).json({ error: 'Removed columns still have tasks', columns: stranded });
+    // Flow metrics and burndowns are rebuilt from events, so each remapped task gets its move recorded
+    for (const id of removed) {
+      if (!kept.has(remap[id])) continue;
+      const moving = await db.collection('tasks').find({ workspaceId: req.workspaceId, status: id }, { projection: { title: 1 } }).toArray();
+      await db.collection('tasks').updateMany({ workspaceId: req.workspaceId, status: id }, { $set: { status: remap[id] } });
+      for (const task of moving) await recordTaskEvent(req, 'moved', task, { status: { from: id, to: remap[id] } }, { remapped: true });
+    }
+    await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $set: { board } });
+    broadcast(req.workspaceId, 'board.updated', board);
+    res.json(board);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update board' });
+  }
+});
+
+// Workspace labels: { id, name, color }. Tasks refer to them by id in their `labels` list.
+const MAX_LABELS = 50;
+
+function parseLabel(body) {
+  const name = String(body?.name || '').trim().slice(0, 30);
+  if (!name) return { error: 'Label name is required' };
+  const color = /^#[0-9a-f]{6}$/i.test(body?.color || '') ? body.color : '#94A3B8';
+  return { label: { name, color } };
+}
+function labelNameTaken(labels, name, exceptId = null) {
+  return labels.some(l => l.name.toLowerCase() === name.toLowerCase() && String(l.id) !== String(exceptId));
+}
+// Check a task's label ids against the workspace's labels
+function validateLabels(ws, labels) {
+  if (!Array.isArray(labels) || !labels.every(l => ObjectId.isValid(String(l)))) return { error: 'labels must be a list of label ids' };
+  const known = new Set((ws.labels || []).map(l => String(l.id)));
+  const ids = [...new Set(labels.map(String))];
+  if (!ids.every(id => known.has(id))) return { error: 'Label not found' };
+  return { ids: ids.map(id => new ObjectId(id)) };
+}
+
+app.get('/api/labels', authRequired, workspaceRequired, (req, res) => {
+  res.json(req.workspace.labels || []);
+});
+
+app.post('/api/labels', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const parsed = parseLabel(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const labels = req.workspace.labels || [];
+    if (labels.length >= MAX_LABELS) return res.status(400).json({ error: `A workspace can have at most ${MAX_LABELS} labels` });
+    if (labelNameTaken(labels, parsed.label.name)) return res.status(409).json({ error: 'A label with that name already exists' });
+    const label = { id: new ObjectId(), ...parsed.label };
+    await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $push: { labels: label } });
+    broadcast(req.workspaceId, 'labels.updated', [...labels, label]);
+    res.status(201).json(label);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create label' });
+  }
+});
+
+app.patch('/api/labels/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const labels = req.workspace.labels || [];
+    const current = labels.find(l => String(l.id) === req.params.id);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const parsed = parseLabel({ ...current, ...req.body });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (labelNameTaken(labels, parsed.label.name, current.id)) return res.status(409).json({ error: 'A label with that name already exists' });
+    const label = { ...current, ...parsed.label };
+    await db.collection('workspaces').updateOne(
+      { _id: req.workspaceId, 'labels.id': current.id },
+      { $set: { 'labels.$.name': label.name, 'labels.$.color': label.color } }
     );
-    if (!result.value) return res.status(404).json({ error: 'Not found' });
-    res.json(result.value);
+    broadcast(req.workspaceId, 'labels.updated', labels.map(l => (l === current ? label : l)));
+    res.json(label);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update task' });
+    res.status(500).json({ error: 'Failed to update label' });
   }
 });
 
-app.delete('/api/tasks/:id', authRequired, async (req, res) => {
+// Deleting a label also takes it off every task that carries it
+app.delete('/api/labels/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await db.collection('tasks').deleteOne({ _id: new ObjectId(id), userId: new ObjectId(req.userId) });
-    if (!result.deletedCount) return res.status(404).json({ error: 'Not found' });
+    const labels = req.workspace.labels || [];
+    const current = labels.find(l => String(l.id) === req.params.id);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $pull: { labels: { id: current.id } } });
+    await db.collection('tasks').updateMany({ workspaceId: req.workspaceId, labels: current.id }, { $pull: { labels: current.id } });
+    broadcast(req.workspaceId, 'labels.updated', labels.filter(l => l !== current));
     res.json({ ok: true });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete task' });
+    res.status(500).json({ error: 'Failed to delete label' });
+  }
+});
+
+// Sprints: { workspaceId, name, goal, startDate, endDate ('YYYY-MM-DD'), state }. State goes
+// planned -> active -> closed, with one active sprint per workspace. Tasks join a sprint through
+// `sprintId` and carry an optional `points` estimate.
+const MAX_POINTS = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseSprint(body, current = {}) {
+  const name = String(body.name ?? current.name ?? '').trim().slice(0, 60);
+  if (!name) return { error: 'Sprint name is required' };
+  const startDate = body.startDate ?? current.startDate;
+  const endDate = body.endDate ?? current.endDate;
+  if (!DATE_ONLY.test(startDate || '') || !DATE_ONLY.test(endDate || '')) return { error: 'startDate and endDate must be YYYY-MM-DD dates' };
+  if (endDate < startDate) return { error: 'A sprint cannot end before it starts' };
+  return { sprint: { name, goal: String(body.goal ?? current.goal ?? '').trim().slice(0, 500), startDate, endDate } };
+}
+function parsePoints(value) {
+  if (value === null || value === '') return { points: null };
+  const points = Number(value);
+  if (!Number.isFinite(points) || points < 0 || points > MAX_POINTS) return { error: `points must be between 0 and ${MAX_POINTS}` };
+  return { points };
+}
+// Tasks can join a planned or active sprint of the workspace; null puts them back in the backlog
+async function validateSprint(req, sprintId) {
+  if (sprintId === null || sprintId === '') return { id: null };
+  if (!ObjectId.isValid(String(sprintId))) return { error: 'Sprint not found' };
+  const sprint = await db.collection('sprints').findOne({ _id: new ObjectId(String(sprintId)), workspaceId: req.workspaceId });
+  if (!sprint) return { error: 'Sprint not found' };
+  if (sprint.state === 'closed') return { error: `${sprint.name} is closed` };
+  return { id: sprint._id };
+}
+async function broadcastSprints(req) {
+  const sprints = await db.collection('sprints').find({ workspaceId: req.workspaceId }).sort({ startDate: -1 }).toArray();
+  broadcast(req.workspaceId, 'sprints.updated', sprints);
+}
+async function moveTasksToSprint(req, tasks, sprintId) {
+  const moved = [];
+  for (const task of tasks) {
+    const changes = taskDiff(task, { sprintId });
+    if (!Object.keys(changes).length) continue;
+    const after = await updateWorkspaceTask(req, { _id: task._id }, { $set: { sprintId } });
+    if (!after) continue;
+    await recordTaskEvent(req, 'updated', after, changes);
+    moved.push(after);
+  }
+  return moved;
+}
+function localDay(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Points in scope and points done at the end of each sprint day, up to today or the day it closed.
+// Starts from the tasks' current state and undoes their history newest first, so it only relies
+// on recorded status, points and sprint changes. Unestimated tasks count as 0 points.
+async function sprintSeries(req, sprint) {
+  const id = String(sprint._id);
+  const done = new Set(doneStatuses(workspaceBoard(req.workspace)));
+  const movedIds = await db.collection('task_events').distinct('taskId', {
+    workspaceId: req.workspaceId,
+    $or: [{ 'changes.sprintId.to': sprint._id }, { 'changes.sprintId.from': sprint._id }]
+  });
+  const tasks = await db.collection('tasks').find({ workspaceId: req.workspaceId, deletedAt: null, $or: [{ sprintId: sprint._id }, { _id: { $in: movedIds } }] }).toArray();
+  const state = new Map(tasks.map(t => [String(t._id), { createdAt: t.createdAt, sprintId: t.sprintId ? String(t.sprintId) : null, points: t.points || 0, status: t.status }]));
+  const events = await db.collection('task_events').find({ taskId: { $in: tasks.map(t => t._id) } }).sort({ _id: -1 }).toArray();
+
+  const lastDay = new Date(Math.min(localDay(sprint.endDate).getTime(), sprint.closedAt || Date.now()));
+  lastDay.setHours(0, 0, 0, 0);
+  const days = [];
+  for (const d = localDay(sprint.startDate); d <= lastDay; d.setDate(d.getDate() + 1)) days.push(new Date(d));
+
+  const series = [];
+  let i = 0;
+  for (const day of days.reverse()) {
+    const end = new Date(day);
+    end.setDate(end.getDate() + 1);
+    // Tasks carried over when the sprint closed left after it ended
+    const cutoff = Math.min(end.getTime(), sprint.closedAt || Infinity);
+    for (; i < events.length && events[i].createdAt >= cutoff; i++) {
+      const t = state.get(String(events[i].taskId));
+      const c = events[i].changes || {};
+      if (c.sprintId) t.sprintId = c.sprintId.from ? String(c.sprintId.from) : null;
+      if (c.points) t.points = c.points.from || 0;
+      if (c.status) t.status = c.status.from;
+    }
+    const point = { date: day.toLocaleDateString('en-CA'), scope: 0, completed: 0, tasks: 0, doneTasks: 0 };
+    state.forEach(t => {
+      if (t.createdAt >= cutoff || t.sprintId !== id) return;
+      point.scope += t.points;
+      point.tasks++;
+      if (done.has(t.status)) {
+        point.completed += t.points;
+        point.doneTasks++;
+      }
+    });
+    series.unshift({ ...point, remaining: point.scope - point.completed });
+  }
+  return series;
+}
+
+app.get('/api/sprints', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const sprints = await db.collection('sprints').find({ workspaceId: req.workspaceId }).sort({ startDate: -1 }).toArray();
+    res.json(sprints);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch sprints' });
+  }
+});
+
+app.post('/api/sprints', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const parsed = parseSprint(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const doc = { ...parsed.sprint, workspaceId: req.workspaceId, state: 'planned', createdAt: Date.now() };
+    const result = await db.collection('sprints').insertOne(doc);
+    await broadcastSprints(req);
+    res.status(201).json({ _id: result.insertedId, ...doc });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create sprint' });
+  }
+});
+
+// Edit name, goal and dates; { state: 'active' } starts a planned sprint and
+// { state: 'closed', carryOverTo } completes it, moving unfinished tasks to another sprint or (null) the backlog
+app.patch('/api/sprints/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const sprint = await db.collection('sprints').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId });
+    if (!sprint) return res.status(404).json({ error: 'Not found' });
+    const parsed = parseSprint(req.body || {}, sprint);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const update = parsed.sprint;
+    const { state } = req.body || {};
+    if (state !== undefined && state !== sprint.state) {
+      if (state === 'active') {
+        if (sprint.state !== 'planned') return res.status(400).json({ error: 'Only planned sprints can be started' });
+        const active = await db.collection('sprints').findOne({ workspaceId: req.workspaceId, state: 'active' });
+        if (active) return res.status(409).json({ error: `${active.name} is still active` });
+        update.state = 'active';
+        update.startedAt = Date.now();
+      } else if (state === 'closed') {
+        if (sprint.state !== 'active') return res.status(400).json({ error: 'Only active sprints can be completed' });
+        const carry = await validateSprint(req, req.body.carryOverTo ?? null);
+        if (carry.error) return res.status(400).json({ error: carry.error });
+        if (carry.id && carry.id.equals(sprint._id)) return res.status(400).json({ error: 'Unfinished tasks must move to another sprint' });
+        update.state = 'closed';
+        update.closedAt = Date.now();
+        const unfinished = await db.collection('tasks').find({
+          workspaceId: req.workspaceId,
+          sprintId: sprint._id,
+          status: { $nin: doneStatuses(workspaceBoard(req.workspace)) }
+        }).toArray();
+        await moveTasksToSprint(req, unfinished, carry.id);
+      } else {
+        return res.status(400).json({ error: 'state must be active or closed' });
+      }
+    }
+    await db.collection('sprints').updateOne({ _id: sprint._id }, { $set: update });
+    await broadcastSprints(req);
+    res.json({ ...sprint, ...update });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update sprint' });
+  }
+});
+
+// Deleting a sprint returns its tasks to the backlog
+app.delete('/api/sprints/:id', authRequired, workspaceRequired, requireRole('admin'), async (req, res) => {
+  try {
+    const sprint = await db.collection('sprints').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId });
+    if (!sprint) return res.status(404).json({ error: 'Not found' });
+    const tasks = await db.collection('tasks').find({ workspaceId: req.workspaceId, sprintId: sprint._id }).toArray();
+    await moveTasksToSprint(req, tasks, null);
+    await db.collection('sprints').deleteOne({ _id: sprint._id });
+    await broadcastSprints(req);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete sprint' });
+  }
+});
+
+// Sprint planning: { add: [taskId], remove: [taskId] }; removed tasks go back to the backlog
+app.post('/api/sprints/:id/tasks', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const sprint = await validateSprint(req, req.params.id);
+    if (sprint.error) return res.status(400).json({ error: sprint.error });
+    const ids = (list) => (Array.isArray(list) ? list : []).filter(id => ObjectId.isValid(String(id))).map(id => new ObjectId(String(id)));
+    const added = await db.collection('tasks').find({ workspaceId: req.workspaceId, deletedAt: null, _id: { $in: ids(req.body?.add) } }).toArray();
+    const removed = await db.collection('tasks').find({ workspaceId: req.workspaceId, sprintId: sprint.id, _id: { $in: ids(req.body?.remove) } }).toArray();
+    const moved = [
+      ...await moveTasksToSprint(req, added, sprint.id),
+      ...await moveTasksToSprint(req, removed, null)
+    ];
+    res.json(moved);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to plan sprint' });
+  }
+});
+
+app.get('/api/sprints/:id/burndown', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const sprint = await db.collection('sprints').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId });
+    if (!sprint) return res.status(404).json({ error: 'Not found' });
+    res.json({ sprint, days: await sprintSeries(req, sprint) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute burndown' });
+  }
+});
+
+// Committed (scope on the first day) and completed (done on the last day) points of the last closed sprints, oldest first
+app.get('/api/sprints/velocity', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 6));
+    const sprints = await db.collection('sprints').find({ workspaceId: req.workspaceId, state: 'closed' }).sort({ endDate: -1 }).limit(limit).toArray();
+    const rows = [];
+    for (const sprint of sprints.reverse()) {
+      const days = await sprintSeries(req, sprint);
+      rows.push({
+        _id: sprint._id,
+        name: sprint.name,
+        committed: days[0]?.scope || 0,
+        completed: days[days.length - 1]?.completed || 0
+      });
+    }
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute velocity' });
+  }
+});
+
+// Flow metrics from the recorded status history: a cumulative flow diagram, lead time
+// (created -> done), cycle time (first started -> done) and weekly throughput.
+const MAX_FLOW_DAYS = 366;
+
+function percentiles(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const at = (p) => (sorted.length ? Math.round(sorted[Math.ceil((p / 100) * sorted.length) - 1] * 10) / 10 : null);
+  return { count: sorted.length, p50: at(50), p85: at(85), p95: at(95) };
+}
+function weekStart(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+// Each task's statuses over time: { createdAt, deletedAt, steps: [{ at, status }] }, oldest first.
+// Deleted tasks are rebuilt from their events, and trashed ones end at the time they were trashed; statuses of removed columns are read as the task's current one.
+async function statusTimelines(req, board) {
+  const known = new Set(board.columns.map(c => c.id));
+  const tasks = await db.collection('tasks').find({ workspaceId: req.workspaceId }, { projection: { createdAt: 1, status: 1 } }).toArray();
+  const events = await db.collection('task_events').find(
+    { workspaceId: req.workspaceId, $or: [{ type: { $in: ['created', 'deleted', 'restored'] } }, { 'changes.status': { $exists: true } }] },
+    { projection: { taskId: 1, type: 1, 'changes.status': 1, createdAt: 1 } }
+  ).sort({ _id: 1 }).toArray();
+  const timelines = new Map(tasks.map(t => [String(t._id), { current: t.status, createdAt: t.createdAt, deletedAt: null, changes: [] }]));
+  events.forEach(e => {
+    const key = String(e.taskId);
+    if (!timelines.has(key)) timelines.set(key, { current: null, createdAt: null, deletedAt: null, changes: [] });
+    const t = timelines.get(key);
+    if (e.type === 'created' && t.createdAt == null) t.createdAt = e.createdAt;
+    if (e.type === 'deleted') t.deletedAt = e.createdAt;
+    if (e.type === 'restored') t.deletedAt = null;
+    if (e.changes?.status) t.changes.push({ at: e.createdAt, ...e.changes.status });
+  });
+  const result = [];
+  timelines.forEach(t => {
+    // Deleted tasks from before history was recorded can't be placed
+    if (t.createdAt == null) return;
+    const first = t.changes[0];
+    const initial = first ? (first.from ?? first.to) : t.current;
+    if (initial == null) return;
+    const read = (status) => (known.has(status) || !t.current ? status : t.current);
+    const steps = [{ at: t.createdAt, status: read(initial) }];
+    t.changes.forEach(c => { if (c.from != null) steps.push({ at: c.at, status: read(c.to) }); });
+    result.push({ createdAt: t.createdAt, deletedAt: t.deletedAt, steps });
+  });
+  return result;
+}
+function statusAt(timeline, at) {
+  if (timeline.createdAt >= at || (timeline.deletedAt != null && timeline.deletedAt < at)) return null;
+  let status = null;
+  for (const step of timeline.steps) {
+    if (step.at >= at) break;
+    status = step.status;
+  }
+  return status;
+}
+
+// ?from and ?to are YYYY-MM-DD dates (default: the last 30 days)
+app.get('/api/analytics/flow', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const today = new Date().toLocaleDateString('en-CA');
+    const to = DATE_ONLY.test(req.query.to || '') ? req.query.to : today;
+    const defaultFrom = localDay(to);
+    defaultFrom.setDate(defaultFrom.getDate() - 29);
+    const from = DATE_ONLY.test(req.query.from || '') ? req.query.from : defaultFrom.toLocaleDateString('en-CA');
+    if (to < from) return res.status(400).json({ error: 'from must not be after to' });
+    const days = [];
+    for (const d = localDay(from); d <= localDay(to); d.setDate(d.getDate() + 1)) days.push(new Date(d));
+    if (days.length > MAX_FLOW_DAYS) return res.status(400).json({ error: `The range can span at most ${MAX_FLOW_DAYS} days` });
+
+    const board = workspaceBoard(req.workspace);
+    const done = new Set(doneStatuses(board));
+    const firstColumn = board.columns[0].id;
+    const timelines = await statusTimelines(req, board);
+    const rangeStart = localDay(from).getTime();
+    const rangeEnd = Math.min(days[days.length - 1].getTime() + 86400000, Date.now());
+
+    const cfd = days.map(day => {
+      const end = Math.min(day.getTime() + 86400000, Date.now());
+      const counts = {};
+      timelines.forEach(t => {
+        const status = statusAt(t, end);
+        if (status) counts[status] = (counts[status] || 0) + 1;
+      });
+      return { date: day.toLocaleDateString('en-CA'), counts };
+    });
+
+    // A task counts once, at its last move into a done column, if it was still done at the end of the range
+    const lead = [], cycle = [], completions = [];
+    timelines.forEach(t => {
+      const finalStatus = statusAt(t, Math.min(rangeEnd, t.deletedAt ?? Infinity));
+      if (!done.has(finalStatus)) return;
+      let completedAt = null, startedAt = null;
+      t.steps.forEach((step, i) => {
+        if (step.at > rangeEnd) return;
+        if (startedAt == null && step.status !== firstColumn && !done.has(step.status)) startedAt = step.at;
+        if (done.has(step.status) && (i === 0 || !done.has(t.steps[i - 1].status))) completedAt = step.at;
+      });
+      if (completedAt == null || completedAt < rangeStart) return;
+      completions.push(completedAt);
+      lead.push((completedAt - t.createdAt) / 86400000);
+      if (startedAt != null && startedAt <= completedAt) cycle.push((completedAt - startedAt) / 86400000);
+    });
+
+    const throughput = [];
+    for (const w = weekStart(rangeStart); w.getTime() < rangeEnd; w.setDate(w.getDate() + 7)) {
+      const start = w.getTime();
+      const end = start + 7 * 86400000;
+      throughput.push({
+        week: w.toLocaleDateString('en-CA'),
+        created: timelines.filter(t => t.createdAt >= start && t.createdAt < end).length,
+        completed: completions.filter(at => at >= start && at < end).length
+      });
+    }
+
+    res.json({ from, to, cfd, leadTime: percentiles(lead), cycleTime: percentiles(cycle), throughput });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute flow metrics' });
+  }
+});
+
+const TASK_SORT_FIELDS = ['_id', 'createdAt', 'deadline', 'title', 'completedAt', 'rank', 'archivedAt'];
+const MAX_PAGE_SIZE = 200;
+// Fields a list request may narrow the response to with ?fields=
+const TASK_LIST_FIELDS = ['title', 'status', 'priority', 'assignee', 'starred', 'labels', 'points', 'sprintId', 'parentId', 'blockedBy', 'deadline', 'createdAt', 'assignedAt', 'assignedAtIST', 'completedAt', 'completedAtIST', 'archivedAt', 'rank'];
+
+function listParam(v) {
+  if (v === undefined) return null;
+  return String(v).split(',').map(x => x.trim()).filter(Boolean);
+}
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+// Cursors are opaque base64url JSON of the last item's sort value and _id
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value ?? null, id: String(id) })).toString('base64url');
+}
+function decodeCursor(cursor) {
+  const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  if (!parsed || !parsed.id) throw new Error('Invalid cursor');
+  return { v: parsed.v, id: new ObjectId(parsed.id) };
+}
+// Match documents strictly after the cursor in { field: dir, _id: dir } order.
+// Mongo sorts null/missing before any value, so nulls lead ascending and trail descending.
+function afterCursor(field, dir, { v, id }) {
+  const op = dir === 1 ? '$gt' : '$lt';
+  if (field === '_id') return { _id: { [op]: id } };
+  const tie = { [field]: v, _id: { [op]: id } };
+  if (v === null) return dir === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+  const beyond = { [field]: { [op]: v } };
+  return dir === 1 ? { $or: [beyond, tie] } : { $or: [beyond, tie, { [field]: null }] };
+}
+// Build the Mongo filter for GET /api/tasks from its query string
+function taskListFilter(workspaceId, q) {
+  const filter = { workspaceId, deletedAt: null };
+  if (q.archived === 'only') filter.archivedAt = { $type: 'number' };
+  else if (q.archived !== 'include') filter.archivedAt = null;
+  const status = listParam(q.status);
+  if (status) filter.status = { $in: status };
+  const priority = listParam(q.priority);
+  if (priority) filter.priority = { $in: priority };
+  const assignee = listParam(q.assignee);
+  if (assignee) filter.assignee = { $in: assignee.map(a => (a === 'unassigned' ? '' : a)) };
+  if (q.starred !== undefined) filter.starred = q.starred === 'true' || q.starred === '1';
+  if (q.deadlineFrom || q.deadlineTo) {
+    filter.deadline = { $ne: null };
+    if (q.deadlineFrom) filter.deadline.$gte = new Date(q.deadlineFrom).toISOString();
+    if (q.deadlineTo) filter.deadline.$lte = new Date(q.deadlineTo).toISOString();
+  }
+  if (q.q) filter.title = { $regex: escapeRegex(String(q.q).trim()), $options: 'i' };
+  if (q.parentId) filter.parentId = new ObjectId(String(q.parentId));
+  const labels = listParam(q.label);
+  if (labels) filter.labels = { $in: labels.map(l => new ObjectId(l)) };
+  if (q.sprint) filter.sprintId = q.sprint === 'backlog' ? null : new ObjectId(String(q.sprint));
+  return filter;
+}
+
+/**
+ * GET /api/tasks
+ * Filters: status, priority, assignee (comma lists; assignee "unassigned" matches ""),
+ * starred, deadlineFrom/deadlineTo (dates), q (title substring), label (comma list of label ids; any match),
+ * sprint (a sprint id, or "backlog" for tasks in no sprint), archived ("include" adds archived tasks, "only" lists just them).
+ * Sorting: sort (one of TASK_SORT_FIELDS), order (asc|desc). Defaults to newest first.
+ * Pagination: limit and cursor. The response body stays a plain array; the total match
+ * count is sent in X-Total-Count and the next page's cursor in X-Next-Cursor.
+ * fields (comma list of TASK_LIST_FIELDS) returns only those fields and _id.
+ */
+app.get('/api/tasks', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const q = req.query;
+    const sortField = q.sort || '_id';
+    if (!TASK_SORT_FIELDS.includes(sortField)) return res.status(400).json({ error: 'Invalid sort field' });
+    const dir = q.order === 'asc' ? 1 : -1;
+    let filter;
+    try {
+      filter = taskListFilter(req.workspaceId, q);
+    } catch (_) {
+      return res.status(400).json({ error: 'Invalid filter' });
+    }
+    const fields = listParam(q.fields);
+    if (fields && !fields.every(f => TASK_LIST_FIELDS.includes(f))) return res.status(400).json({ error: 'Invalid fields' });
+    // The sort field stays in so the next cursor can be built
+    const projection = fields ? Object.fromEntries([...fields, sortField].map(f => [f, 1])) : null;
+    const limit = q.limit !== undefined ? Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(q.limit, 10) || 0)) : 0;
+    let pageFilter = filter;
+    if (q.cursor) {
+      try {
+        pageFilter = { $and: [filter, afterCursor(sortField, dir, decodeCursor(q.cursor))] };
+      } catch (_) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+    const [total, tasks] = await Promise.all([
+      db.collection('tasks').countDocuments(filter),
+      db.collection('tasks').find(pageFilter, projection ? { projection } : {}).sort({ [sortField]: dir, _id: dir }).limit(limit ? limit + 1 : 0).toArray()
+    ]);
+    res.set('X-Total-Count', String(total));
+    if (limit && tasks.length > limit) {
+      tasks.length = limit;
+      const last = tasks[tasks.length - 1];
+      res.set('X-Next-Cursor', encodeCursor(last[sortField], last._id));
+    }
+    res.json(tasks);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Live updates: open Server-Sent Event streams per workspace id
+const streams = new Map();
+
+function broadcast(workspaceId, event, data) {
+  const subscribers = streams.get(String(workspaceId));
+  if (!subscribers) return;
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach(res => res.write(payload));
+}
+
+// EventSource cannot send headers, so the stream also accepts the token as a query parameter or cookie
+function tokenFromQueryOrCookie(req, res, next) {
+  if (!req.headers['authorization']) {
+    const cookie = req.headers['cookie'] || '';
+    const token = req.query.token || (cookie.match(/(?:^|;\s*)token=([^;]+)/) || [])[1];
+    if (token) req.headers['authorization'] = `Bearer ${token}`;
+  }
+  next();
+}
+
+app.get('/api/stream', tokenFromQueryOrCookie, authRequired, workspaceRequired, (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: ${JSON.stringify({ workspaceId: req.workspaceId })}\n\n`);
+  const key = String(req.workspaceId);
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = streams.get(key);
+    subscribers?.delete(res);
+    if (subscribers && !subscribers.size) streams.delete(key);
+  });
+});
+
+const TRACKED_FIELDS = ['title', 'priority', 'status', 'assignee', 'starred', 'deadline', 'blockedBy', 'recurrence', 'labels', 'points', 'sprintId'];
+
+// Field-level diff of the tracked task fields: { field: { from, to } }
+function taskDiff(before, after) {
+  const changes = {};
+  TRACKED_FIELDS.forEach(k => {
+    if (!(k in after)) return;
+    const from = before?.[k] ?? null;
+    const to = after[k] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[k] = { from, to };
+  });
+  return changes;
+}
+function eventType(changes, board) {
+  if (changes.status) return isDoneStatus(board, changes.status.to) ? 'completed' : 'moved';
+  return 'updated';
+}
+// Append-only audit trail; events are never updated or removed.
+// `extra` carries notes such as { wipOverride } when a move went past a WIP limit.
+async function recordTaskEvent(req, type, task, changes = {}, extra = {}) {
+  await db.collection('task_events').insertOne(taskEvent(req, type, task, changes, extra));
+}
+function taskEvent(req, type, task, changes = {}, extra = {}) {
+  return {
+    taskId: task._id,
+    workspaceId: req.workspaceId,
+    // Scheduled jobs act without a user
+    userId: req.userId ? new ObjectId(req.userId) : null,
+    type,
+    title: task.title,
+    changes,
+    ...extra,
+    createdAt: Date.now()
+  };
+}
+async function withActors(events) {
+  const ids = [...new Set(events.filter(e => e.userId).map(e => String(e.userId)))].map(id => new ObjectId(id));
+  const users = await db.collection('users').find({ _id: { $in: ids } }, { projection: { name: 1 } }).toArray();
+  const names = new Map(users.map(u => [String(u._id), u.name]));
+  return events.map(e => ({ ...e, actor: { id: e.userId, name: e.userId ? names.get(String(e.userId)) || 'Unknown' : 'TaskMaster' } }));
+}
+function eventPageParams(q) {
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(q.limit, 10) || 50));
+  const before = q.before ? new ObjectId(String(q.before)) : null;
+  return { limit, before };
+}
+
+app.get('/api/tasks/:id/history', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const { limit, before } = eventPageParams(req.query);
+    const filter = { taskId: new ObjectId(req.params.id), workspaceId: req.workspaceId };
+    if (before) filter._id = { $lt: before };
+    const events = await db.collection('task_events').find(filter).sort({ _id: -1 }).limit(limit).toArray();
+    res.json(await withActors(events));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Workspace-wide activity feed, newest first; page with ?before=<event id>
+app.get('/api/activity', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const { limit, before } = eventPageParams(req.query);
+    const filter = { workspaceId: req.workspaceId };
+    if (before) filter._id = { $lt: before };
+    const events = await db.collection('task_events').find(filter).sort({ _id: -1 }).limit(limit).toArray();
+    res.json(await withActors(events));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// Manual card order: `rank` sorts tasks within their column. New positions take the midpoint
+// of their neighbours, so a move only rewrites the moved task.
+const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+// Tasks from before manual ordering keep the order the board showed them in (newest first)
+async function backfillTaskRanks() {
+  const legacy = await db.collection('tasks').find({ rank: { $exists: false } }, { projection: { workspaceId: 1, status: 1 } }).sort({ _id: -1 }).toArray();
+  if (!legacy.length) return;
+  const last = new Map();
+  const ops = [];
+  for (const t of legacy) {
+    const key = `${t.workspaceId}:${t.status}`;
+    if (!last.has(key)) {
+      const [bottom] = await db.collection('tasks').find({ workspaceId: t.workspaceId, status: t.status, rank: { $exists: true } }).sort({ rank: -1 }).limit(1).toArray();
+      last.set(key, bottom?.rank ?? 0);
+    }
+    const rank = last.get(key) + RANK_STEP;
+    last.set(key, rank);
+    ops.push({ updateOne: { filter: { _id: t._id }, update: { $set: { rank } } } });
+  }
+  await db.collection('tasks').bulkWrite(ops);
+}
+
+// Spread a column's ranks out again once repeated inserts have used up the gap between two cards.
+// Only cards on the board count; trashed and archived tasks get a fresh rank when they come back.
+async function renumberColumn(req, status) {
+  const column = await db.collection('tasks').find({ workspaceId: req.workspaceId, status, deletedAt: null, archivedAt: null }, { projection: { _id: 1 } }).sort({ rank: 1, _id: 1 }).toArray();
+  if (!column.length) return;
+  await db.collection('tasks').bulkWrite(column.map((t, i) => ({ updateOne: { filter: { _id: t._id }, update: { $set: { rank: (i + 1) * RANK_STEP } } } })));
+}
+
+// Rank for a task placed in `status` directly below `afterId` or directly above `beforeId`;
+// with neither it goes to the bottom of the column. `movingId` is the task being placed, if it exists.
+async function rankFor(req, status, { afterId, beforeId } = {}, movingId = null, renumbered = false) {
+  const tasks = db.collection('tasks');
+  const column = { workspaceId: req.workspaceId, status, deletedAt: null, archivedAt: null };
+  if (movingId) column._id = { $ne: new ObjectId(movingId) };
+  const neighbour = async (id) => {
+    if (!ObjectId.isValid(String(id)) || String(id) === String(movingId)) return null;
+    return tasks.findOne({ workspaceId: req.workspaceId, status, deletedAt: null, archivedAt: null, _id: new ObjectId(String(id)) }, { projection: { rank: 1 } });
+  };
+  let lo = null;
+  let hi = null;
+  if (afterId) {
+    lo = await neighbour(afterId);
+    if (!lo) return { error: 'Neighbouring task not found in that column' };
+    hi = await tasks.find({ ...column, rank: { $gt: lo.rank } }).sort({ rank: 1 }).limit(1).next();
+  } else if (beforeId) {
+    hi = await neighbour(beforeId);
+    if (!hi) return { error: 'Neighbouring task not found in that column' };
+    lo = await tasks.find({ ...column, rank: { $lt: hi.rank } }).sort({ rank: -1 }).limit(1).next();
+  } else {
+    lo = await tasks.find(column).sort({ rank: -1 }).limit(1).next();
+  }
+  const loRank = lo ? lo.rank : (hi ? hi.rank - 2 * RANK_STEP : 0);
+  const hiRank = hi ? hi.rank : loRank + 2 * RANK_STEP;
+  if (hiRank - loRank < MIN_RANK_GAP && !renumbered) {
+    await renumberColumn(req, status);
+    return rankFor(req, status, { afterId, beforeId }, movingId, true);
+  }
+  return { rank: (loRank + hiRank) / 2 };
+}
+
+// Recurring tasks: a normalised rule is { freq, interval, byDay?, byMonthDay?, count?, until? }
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// The RRULE subset we understand: FREQ, INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly), COUNT and UNTIL
+function parseRRule(str) {
+  const parts = {};
+  String(str).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(p => {
+    const [k, v = ''] = p.split('=');
+    parts[k.trim().toUpperCase()] = v.trim().toUpperCase();
+  });
+  const rule = { freq: (parts.FREQ || '').toLowerCase() };
+  if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+  if (parts.BYDAY) rule.byDay = parts.BYDAY.split(',').map(d => RRULE_DAYS.indexOf(d));
+  if (parts.BYMONTHDAY) rule.byMonthDay = Number(parts.BYMONTHDAY);
+  if (parts.COUNT) rule.count = Number(parts.COUNT);
+  if (parts.UNTIL) {
+    const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    rule.until = m ? `${m[1]}-${m[2]}-${m[3]}T${m[4] || '23'}:${m[5] || '59'}:${m[6] || '59'}Z` : parts.UNTIL;
+  }
+  return rule;
+}
+
+// Validate a recurrence from the client. null clears it; a string or { rrule } is read as an RRULE.
+function parseRecurrence(input) {
+  if (input === null || input === '') return { rule: null };
+  const raw = typeof input === 'string' ? parseRRule(input) : (input?.rrule ? parseRRule(input.rrule) : input);
+  if (!raw || typeof raw !== 'object' || !RECURRENCE_FREQS.includes(raw.freq)) {
+    return { error: 'Recurrence must be daily, weekly or monthly' };
+  }
+  const rule = { freq: raw.freq, interval: Number(raw.interval ?? 1) };
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    return { error: 'Recurrence interval must be a whole number from 1 to 365' };
+  }
+  if (rule.freq === 'weekly' && raw.byDay?.length) {
+    const days = [...new Set(raw.byDay.map(Number))].sort((a, b) => a - b);
+    if (!days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) return { error: 'Recurrence days must be 0 (Sunday) to 6 (Saturday)' };
+    rule.byDay = days;
+  }
+  if (rule.freq === 'monthly' && raw.byMonthDay != null) {
+    const day = Number(raw.byMonthDay);
+    if (!Number.isInteger(day) || day < -1 || day === 0 || day > 31) return { error: 'Day of month must be 1 to 31, or -1 for the last day' };
+    rule.byMonthDay = day;
+  }
+  if (raw.count != null) {
+    const count = Number(raw.count);
+    if (!Number.isInteger(count) || count < 1) return { error: 'Recurrence count must be a positive whole number' };
+    rule.count = count;
+  }
+  if (raw.until) {
+    const until = new Date(raw.until);
+    if (Number.isNaN(until.getTime())) return { error: 'Recurrence end date is invalid' };
+    rule.until = until.toISOString();
+  }
+  return { rule };
+}
+
+// First occurrence of the rule strictly after `from`, keeping its time of day
+function nextOccurrence(rule, from) {
+  const d = new Date(from);
+  if (rule.freq === 'daily') {
+    d.setDate(d.getDate() + rule.interval);
+  } else if (rule.freq === 'weekly') {
+    if (!rule.byDay?.length) {
+      d.setDate(d.getDate() + 7 * rule.interval);
+    } else {
+      // A later listed weekday this week, otherwise the first listed one `interval` weeks on
+      const later = rule.byDay.find(day => day > d.getDay());
+      if (later !== undefined) d.setDate(d.getDate() + later - d.getDay());
+      else d.setDate(d.getDate() - d.getDay() + 7 * rule.interval + rule.byDay[0]);
+    }
+  } else {
+    const dayIn = (date) => {
+      const last = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      return rule.byMonthDay === -1 ? last : Math.min(rule.byMonthDay, last);
+    };
+    if (dayIn(d) > d.getDate()) {
+      d.setDate(dayIn(d));
+    } else {
+      d.setDate(1);
+      d.setMonth(d.getMonth() + rule.interval);
+      d.setDate(dayIn(d));
+    }
+  }
+  return d;
+}
+
+// Create the next instance of a completed recurring task. Its deadline is moved past now,
+// so finishing a late task does not produce copies that are already overdue. Skipped
+// occurrences still use up a COUNT-limited series.
+async function spawnNextInstance(req, task) {
+  let rule = task.recurrence;
+  const base = new Date(task.deadline || task.completedAt);
+  // Pin monthly rules to the original date so short months don't drift the series
+  if (rule.freq === 'monthly' && rule.byMonthDay == null) rule = { ...rule, byMonthDay: base.getDate() };
+  // Occurrences left in the series, counting from `next`
+  let remaining = rule.count != null ? rule.count - 1 : null;
+  if (remaining !== null && remaining < 1) return null;
+  const until = rule.until ? new Date(rule.until) : null;
+  let next = nextOccurrence(rule, base);
+  while (next.getTime() <= Date.now()) {
+    if (until && next > until) return null;
+    if (remaining !== null && --remaining < 1) return null;
+    next = nextOccurrence(rule, next);
+  }
+  if (until && next > until) return null;
+  const now = new Date();
+  const status = workspaceBoard(req.workspace).columns[0].id;
+  const doc = {
+    title: task.title,
+    priority: task.priority,
+    status,
+    rank: (await rankFor(req, status)).rank,
+    assignee: task.assignee,
+    starred: Boolean(task.starred),
+    createdAt: Date.now(),
+    assignedAt: now.toISOString(),
+    assignedAtIST: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true }),
+    userId: new ObjectId(req.userId),
+    workspaceId: req.workspaceId,
+    checklist: (task.checklist || []).map(item => ({ ...item, id: new ObjectId(), done: false })),
+    labels: task.labels || [],
+    points: task.points ?? null,
+    sprintId: null,
+    deadline: next.toISOString(),
+    recurrence: remaining !== null ? { ...rule, count: remaining } : rule,
+    seriesId: task.seriesId || task._id
+  };
+  if (task.parentId) {
+    doc.parentId = task.parentId;
+    doc.childPosition = await db.collection('tasks').countDocuments({ parentId: task.parentId });
+  }
+  const result = await db.collection('tasks').insertOne(doc);
+  const created = { _id: result.insertedId, ...doc };
+  await db.collection('tasks').updateOne({ _id: task._id }, { $set: { nextInstanceId: created._id } });
+  await recordTaskEvent(req, 'created', created, taskDiff({}, created));
+  if (created.assignee) await notifyAssignee(req, created);
+  broadcast(req.workspaceId, 'task.created', created);
+  return created;
+}
+
+app.post('/api/tasks', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const board = workspaceBoard(req.workspace);
+    const { title, priority = 'Medium', status = board.columns[0].id, assignee = '', starred = false, deadline, parentId, recurrence = null, labels = [], points = null, sprintId = null } = req.body;
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+    if (!boardColumn(board, status)) return res.status(400).json({ error: `Unknown status "${status}"` });
+    // Over a WIP limit the task is only created with overrideWip, and the override is recorded
+    const wip = await wipExceeded(req, board, status);
+    if (wip && !req.body.overrideWip) {
+      return res.status(409).json({ error: `${boardColumn(board, status).name} is at its WIP limit`, wip });
+    }
+    const repeat = parseRecurrence(recurrence);
+    if (repeat.error) return res.status(400).json({ error: repeat.error });
+    const tagged = validateLabels(req.workspace, labels);
+    if (tagged.error) return res.status(400).json({ error: tagged.error });
+    const estimate = parsePoints(points);
+    if (estimate.error) return res.status(400).json({ error: estimate.error });
+    const sprint = await validateSprint(req, sprintId);
+    if (sprint.error) return res.status(400).json({ error: sprint.error });
+    let parent = null;
+    if (parentId) {
+      parent = ObjectId.isValid(parentId) ? await findWorkspaceTask(req, parentId) : null;
+      if (!parent) return res.status(400).json({ error: 'Parent task not found' });
+      // Subtasks are one level deep
+      if (parent.parentId) return res.status(400).json({ error: 'Subtasks cannot have subtasks' });
+    }
+    const now = new Date();
+    const doc = {
+      title,
+      priority,
+      status,
+      assignee,
+      starred: Boolean(starred),
+      createdAt: Date.now(),
+      assignedAt: now.toISOString(),
+      assignedAtIST: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true }),
+      userId: new ObjectId(req.userId),
+      workspaceId: req.workspaceId,
+      checklist: [],
+      recurrence: repeat.rule,
+      labels: tagged.ids,
+      points: estimate.points,
+      sprintId: sprint.id,
+      rank: (await rankFor(req, status)).rank
+    };
+    if (parent) {
+      doc.parentId = parent._id;
+      doc.childPosition = await db.collection('tasks').countDocuments({ parentId: parent._id });
+    }
+    if (deadline) {
+      // Accept both "YYYY-MM-DDTHH:MM" from datetime-local and ISO strings
+      try {
+        doc.deadline = new Date(String(deadline).replace(' ', 'T')).toISOString();
+      } catch (_) { doc.deadline = null; }
+    } else {
+      doc.deadline = null;
+    }
+    const result = await db.collection('tasks').insertOne(doc);
+    const created = { _id: result.insertedId, ...doc };
+    await recordTaskEvent(req, 'created', created, taskDiff({}, created), wip ? { wipOverride: wip } : {});
+    if (created.assignee) await notifyAssignee(req, created);
+    broadcast(req.workspaceId, 'task.created', created);
+    res.status(201).json(created);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// Side effects of a task update already written: history, assignee notification, the next
+// recurring instance and the live event. Resolves to the task as it is now.
+async function taskUpdated(req, board, before, update, extra = {}) {
+  const changes = taskDiff(before, update);
+  if (Object.keys(changes).length) await recordTaskEvent(req, eventType(changes, board), { ...before, ...update }, changes, extra);
+  return taskChanged(req, board, before, update);
+}
+// The same once the history is stored too, as bulk changes write it with the tasks
+async function taskChanged(req, board, before, update) {
+  const after = { ...before, ...update };
+  const changes = taskDiff(before, update);
+  if (changes.assignee && after.assignee) await notifyAssignee(req, after);
+  // Completing a recurring task queues its next instance, once per task even if it is reopened
+  if (changes.status && isDoneStatus(board, changes.status.to) && after.recurrence && !after.nextInstanceId) {
+    const next = await spawnNextInstance(req, after);
+    if (next) after.nextInstanceId = next._id;
+  }
+  broadcast(req.workspaceId, 'task.updated', after);
+  return after;
+}
+
+// A task just moved to the trash leaves the board; its comments, time, files and links are kept for a restore
+async function taskTrashed(req, task) {
+  await recordTaskEvent(req, 'deleted', task);
+  broadcast(req.workspaceId, 'task.deleted', { _id: task._id });
+}
+function trashPurgeAt(task) {
+  return task.deletedAt + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Permanently delete trashed tasks with their comments, time, files and links from other tasks
+async function purgeTasks(req, tasks) {
+  if (!tasks.length) return;
+  await db.collection('tasks').deleteMany({ _id: { $in: tasks.map(t => t._id) }, deletedAt: { $type: 'number' } });
+  for (const task of tasks) await taskPurged(req, task);
+}
+async function taskPurged(req, task) {
+  await db.collection('task_comments').deleteMany({ taskId: task._id });
+  await db.collection('time_entries').deleteMany({ taskId: task._id });
+  await removeAttachmentFiles(task.attachments);
+  // Children outlive their parent as ordinary tasks
+  const dependents = await db.collection('tasks').find({ blockedBy: task._id }).toArray();
+  if (dependents.length) {
+    await db.collection('tasks').updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+    dependents.forEach(t => broadcast(req.workspaceId, 'task.updated', { ...t, blockedBy: t.blockedBy.filter(b => !b.equals(task._id)) }));
+  }
+  const orphans = await db.collection('tasks').find({ parentId: task._id }).toArray();
+  if (orphans.length) {
+    await db.collection('tasks').updateMany({ parentId: task._id }, { $unset: { parentId: '', childPosition: '' } });
+    orphans.forEach(({ parentId: _p, childPosition: _c, ...t }) => broadcast(req.workspaceId, 'task.updated', t));
+  }
+  await recordTaskEvent(req, 'purged', task);
+}
+
+// Trashed tasks older than the retention period are purged by an hourly job
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+async function purgeExpiredTrash() {
+  try {
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expired = await db.collection('tasks').find({ deletedAt: { $type: 'number', $lt: cutoff } }).toArray();
+    // Recorded as done by whoever trashed the task
+    for (const task of expired) await purgeTasks({ workspaceId: task.workspaceId, userId: task.deletedBy }, [task]);
+  } catch (err) {
+    console.error('Trash purge failed:', err.message);
+  }
+}
+
+// Runs fn(session) in a transaction, retried by the driver on transient errors.
+// Transactions need MongoDB to run as a replica set; a single-node one is enough.
+async function inTransaction(fn) {
+  const session = client.startSession();
+  try {
+    await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+}
+
+const MAX_BULK = 200;
+const BULK_FIELDS = ['status', 'assignee', 'priority'];
+
+/**
+ * PATCH /api/tasks/bulk
+ * Body: { ids: [taskId], changes: { status?, assignee?, priority? }, force?, overrideWip? } or { ids, delete: true }.
+ * All or nothing: every task is checked first, and if any of them cannot be changed nothing is
+ * written and the response is 409 with the reason per task. Otherwise the tasks and their history
+ * are written in one transaction and every task's result is { id, ok: true }.
+ * Without a replica set there are no transactions and the response is 503.
+ */
+app.patch('/api/tasks/bulk', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    if (!transactions) return res.status(503).json({ error: 'Bulk changes need MongoDB to run as a replica set' });
+    const { ids, changes = {}, force = false, overrideWip = false } = req.body || {};
+    const remove = req.body?.delete === true;
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'ids must be a non-empty list' });
+    if (ids.length > MAX_BULK) return res.status(400).json({ error: `At most ${MAX_BULK} tasks can be changed at once` });
+    if (!ids.every(id => ObjectId.isValid(String(id)))) return res.status(400).json({ error: 'Invalid task id' });
+    const unique = [...new Set(ids.map(String))];
+    const update = {};
+    if (!remove) {
+      BULK_FIELDS.forEach(k => { if (changes[k] !== undefined) update[k] = changes[k]; });
+      if (!Object.keys(update).length) return res.status(400).json({ error: `changes must set ${BULK_FIELDS.join(', ')} or delete must be true` });
+      if (update.priority !== undefined && !PRIORITIES.includes(update.priority)) return res.status(400).json({ error: 'priority must be High, Medium or Low' });
+      if (update.assignee !== undefined) update.assignee = String(update.assignee ?? '').trim();
+    }
+    const board = workspaceBoard(req.workspace);
+    if (update.status !== undefined && !boardColumn(board, update.status)) return res.status(400).json({ error: `Unknown status "${update.status}"` });
+
+    const found = await db.collection('tasks').find({ _id: { $in: unique.map(id => new ObjectId(id)) }, workspaceId: req.workspaceId, deletedAt: null, archivedAt: null }).toArray();
+    const byId = new Map(found.map(t => [String(t._id), t]));
+    const errors = new Map(unique.filter(id => !byId.has(id)).map(id => [id, 'Not found']));
+    let wip = null;
+    if (update.status !== undefined) {
+      const name = (st) => boardColumn(board, st)?.name || st;
+      const moving = found.filter(t => t.status !== update.status);
+      const completing = isDoneStatus(board, update.status);
+      for (const task of moving) {
+        if (!canTransition(board, task.status, update.status)) {
+          errors.set(String(task._id), `Moving from ${name(task.status)} to ${name(update.status)} is not allowed`);
+        } else if (completing && !force) {
+          // Blockers completed in the same request do not count
+          const open = (await openBlockers(req, task.blockedBy)).filter(b => !(byId.has(String(b._id)) && !errors.has(String(b._id))));
+          if (open.length) errors.set(String(task._id), `Blocked by ${open.map(b => b.title).join(', ')}`);
+        }
+      }
+      const limit = boardColumn(board, update.status).wipLimit;
+      if (limit && moving.length) {
+        const count = await db.collection('tasks').countDocuments({ workspaceId: req.workspaceId, status: update.status, deletedAt: null, archivedAt: null });
+        if (count + moving.length > limit) {
+          wip = { status: update.status, limit, count };
+          if (!overrideWip) moving.forEach(t => { if (!errors.has(String(t._id))) errors.set(String(t._id), `${name(update.status)} is at its WIP limit`); });
+        }
+      }
+    }
+    if (errors.size) {
+      return res.status(409).json({
+        error: 'No tasks were changed',
+        ...(wip && !overrideWip ? { wip } : {}),
+        results: unique.map(id => (errors.has(id) ? { id, ok: false, error: errors.get(id) } : { id, ok: true }))
+      });
+    }
+
+    if (remove) {
+      const trashed = { deletedAt: Date.now(), deletedBy: new ObjectId(req.userId) };
+      await inTransaction(async (session) => {
+        await db.collection('tasks').updateMany({ _id: { $in: found.map(t => t._id) }, workspaceId: req.workspaceId }, { $set: trashed }, { session });
+        await db.collection('task_events').insertMany(found.map(task => taskEvent(req, 'deleted', { ...task, ...trashed })), { session });
+      });
+      found.forEach(task => broadcast(req.workspaceId, 'task.deleted', { _id: task._id }));
+      return res.json({ results: unique.map(id => ({ id, ok: true })) });
+    }
+
+    // Tasks changing columns go to the bottom of the new column, in the order they were sent
+    const updates = new Map();
+    let nextRank = null;
+    const now = new Date();
+    for (const id of unique) {
+      const task = byId.get(id);
+      const set = { ...update };
+      if (set.status !== undefined && task.status !== set.status) {
+        nextRank = nextRank === null ? (await rankFor(req, set.status)).rank : nextRank + RANK_STEP;
+        set.rank = nextRank;
+        if (isDoneStatus(board, set.status)) {
+          set.completedAt = now.toISOString();
+          set.completedAtIST = now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true });
+        }
+      }
+      updates.set(id, set);
+    }
+    const ops = unique.map(id => ({ updateOne: { filter: { _id: new ObjectId(id), workspaceId: req.workspaceId }, update: { $set: updates.get(id) } } }));
+    const events = unique.flatMap(id => {
+      const before = byId.get(id);
+      const diff = taskDiff(before, updates.get(id));
+      if (!Object.keys(diff).length) return [];
+      return [taskEvent(req, eventType(diff, board), { ...before, ...updates.get(id) }, diff, wip && overrideWip ? { wipOverride: wip } : {})];
+    });
+    await inTransaction(async (session) => {
+      await db.collection('tasks').bulkWrite(ops, { ordered: true, session });
+      if (events.length) await db.collection('task_events').insertMany(events, { session });
+    });
+    const tasks = [];
+    for (const id of unique) tasks.push(await taskChanged(req, board, byId.get(id), updates.get(id)));
+    res.json({ results: unique.map(id => ({ id, ok: true })), tasks });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update tasks' });
+  }
+});
+
+app.patch('/api/tasks/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const update = {};
+    TRACKED_FIELDS.forEach(k => {
+      if (req.body[k] !== undefined) update[k] = req.body[k];
+    });
+    if (update.blockedBy !== undefined) {
+      const checked = await validateBlockers(req, id, update.blockedBy);
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      update.blockedBy = checked.ids;
+    }
+    if (update.recurrence !== undefined) {
+      const repeat = parseRecurrence(update.recurrence);
+      if (repeat.error) return res.status(400).json({ error: repeat.error });
+      update.recurrence = repeat.rule;
+    }
+    if (update.labels !== undefined) {
+      const tagged = validateLabels(req.workspace, update.labels);
+      if (tagged.error) return res.status(400).json({ error: tagged.error });
+      update.labels = tagged.ids;
+    }
+    if (update.points !== undefined) {
+      const estimate = parsePoints(update.points);
+      if (estimate.error) return res.status(400).json({ error: estimate.error });
+      update.points = estimate.points;
+    }
+    if (update.sprintId !== undefined) {
+      const sprint = await validateSprint(req, update.sprintId);
+      if (sprint.error) return res.status(400).json({ error: sprint.error });
+      update.sprintId = sprint.id;
+    }
+    const board = workspaceBoard(req.workspace);
+    let wip = null;
+    if (update.status !== undefined) {
+      const current = await findWorkspaceTask(req, id);
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      if (!boardColumn(board, update.status)) return res.status(400).json({ error: `Unknown status "${update.status}"` });
+      if (!canTransition(board, current.status, update.status)) {
+        const name = (s) => boardColumn(board, s)?.name || s;
+        return res.status(400).json({ error: `Moving from ${name(current.status)} to ${name(update.status)} is not allowed` });
+      }
+      if (isDoneStatus(board, update.status) && !req.body.force) {
+        const open = await openBlockers(req, update.blockedBy ?? current.blockedBy);
+        if (open.length) {
+          return res.status(409).json({ error: 'Task is blocked by open tasks', blockers: open });
+        }
+      }
+      if (current.status !== update.status) {
+        wip = await wipExceeded(req, board, update.status, id);
+        if (wip && !req.body.overrideWip) {
+          return res.status(409).json({ error: `${boardColumn(board, update.status).name} is at its WIP limit`, wip });
+        }
+      }
+      // A task changing columns lands next to afterId/beforeId, or at the bottom of its new column
+      if (current.status !== update.status || req.body.afterId || req.body.beforeId) {
+        const placed = await rankFor(req, update.status, req.body, id);
+        if (placed.error) return res.status(400).json({ error: placed.error });
+        update.rank = placed.rank;
+      }
+    }
+    if (update.deadline) {
+      try {
+        let dstr = String(update.deadline).replace(' ', 'T');
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(dstr)) dstr += ':00';
+        update.deadline = new Date(dstr).toISOString();
+      } catch (_) { delete update.deadline; }
+    }
+    // If moving to a done column, stamp completedAt
+    if (isDoneStatus(board, update.status)) {
+      const now = new Date();
+      update.completedAt = now.toISOString();
+      update.completedAtIST = now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true });
+    }
+    const result = await db.collection('tasks').findOneAndUpdate(
+      { _id: new ObjectId(id), workspaceId: req.workspaceId, deletedAt: null, archivedAt: null },
+      { $set: update },
+      { returnDocument: 'before', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    res.json(await taskUpdated(req, board, result.value, update, wip ? { wipOverride: wip } : {}));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// Move a task within its column. Body: { afterId } to go directly below a card, or { beforeId } to go directly above one.
+app.post('/api/tasks/:id/reorder', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const { afterId, beforeId } = req.body || {};
+    if (!afterId && !beforeId) return res.status(400).json({ error: 'afterId or beforeId is required' });
+    const placed = await rankFor(req, task.status, { afterId, beforeId }, task._id);
+    if (placed.error) return res.status(400).json({ error: placed.error });
+    const updated = await updateWorkspaceTask(req, { _id: task._id }, { $set: { rank: placed.rank } });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder task' });
+  }
+});
+
+// Deleting moves a task to the trash; it can be restored until it is purged
+app.delete('/api/tasks/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trashed = { deletedAt: Date.now(), deletedBy: new ObjectId(req.userId) };
+    const result = await db.collection('tasks').findOneAndUpdate(
+      { _id: new ObjectId(id), workspaceId: req.workspaceId, deletedAt: null },
+      { $set: trashed },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    await taskTrashed(req, result.value);
+    res.json({ ok: true, purgeAt: trashPurgeAt(result.value) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+// The workspace's trash, most recently deleted first
+app.get('/api/trash', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const tasks = await db.collection('tasks').find({ workspaceId: req.workspaceId, deletedAt: { $type: 'number' } }).sort({ deletedAt: -1 }).toArray();
+    const ids = [...new Set(tasks.map(t => String(t.deletedBy)))].filter(ObjectId.isValid).map(id => new ObjectId(id));
+    const users = await db.collection('users').find({ _id: { $in: ids } }, { projection: { name: 1 } }).toArray();
+    const names = new Map(users.map(u => [String(u._id), u.name]));
+    res.json(tasks.map(t => ({ ...t, deletedByName: names.get(String(t.deletedBy)) || 'Unknown', purgeAt: trashPurgeAt(t) })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Put a trashed task back on the board, at the bottom of its column (the first column if that was removed)
+app.post('/api/tasks/:id/restore', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await db.collection('tasks').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId, deletedAt: { $type: 'number' } });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const board = workspaceBoard(req.workspace);
+    const status = boardColumn(board, task.status) ? task.status : board.columns[0].id;
+    const { rank } = await rankFor(req, status);
+    const result = await db.collection('tasks').findOneAndUpdate(
+      { _id: task._id, workspaceId: req.workspaceId, deletedAt: { $type: 'number' } },
+      { $set: { status, rank }, $unset: { deletedAt: '', deletedBy: '' } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    const changes = status !== task.status ? { status: { from: task.status, to: status } } : {};
+    await recordTaskEvent(req, 'restored', result.value, changes);
+    broadcast(req.workspaceId, 'task.created', result.value);
+    res.json(result.value);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+// Permanently delete one trashed task: whoever deleted it, or an admin
+app.delete('/api/trash/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await db.collection('tasks').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId, deletedAt: { $type: 'number' } });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    if (String(task.deletedBy) !== String(req.userId) && !roleAtLeast(req.role, 'admin')) {
+      return res.status(403).json({ error: 'Only admins can purge tasks someone else deleted' });
+    }
+    await purgeTasks(req, [task]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to purge task' });
+  }
+});
+
+// Empty the workspace's trash
+app.delete('/api/trash', authRequired, workspaceRequired, requireRole('admin'), async (req, res) => {
+  try {
+    const tasks = await db.collection('tasks').find({ workspaceId: req.workspaceId, deletedAt: { $type: 'number' } }).toArray();
+    await purgeTasks(req, tasks);
+    res.json({ ok: true, purged: tasks.length });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// Archiving takes tasks off the board without deleting them: archived tasks drop out of task lists
+// unless asked for (?archived=include|only) but still count in every analytics series.
+// Done tasks are archived automatically once they have been done for the board's archiveAfterDays.
+const ARCHIVE_INTERVAL = 60 * 60 * 1000;
+async function archiveDoneTasks() {
+  try {
+    const workspaces = await db.collection('workspaces').find({}, { projection: { board: 1 } }).toArray();
+    for (const ws of workspaces) {
+      const board = workspaceBoard(ws);
+      if (!board.archiveAfterDays) continue;
+      const cutoff = Date.now() - board.archiveAfterDays * 24 * 60 * 60 * 1000;
+      // Tasks created straight into a done column have no completedAt; a task someone unarchived gets the full delay again
+      const due = await db.collection('tasks').find({
+        workspaceId: ws._id,
+        status: { $in: doneStatuses(board) },
+        deletedAt: null,
+        archivedAt: null,
+        $and: [
+          { $or: [{ completedAt: { $lt: new Date(cutoff).toISOString() } }, { completedAt: null, createdAt: { $lt: cutoff } }] },
+          { $or: [{ unarchivedAt: null }, { unarchivedAt: { $lt: cutoff } }] }
+        ]
+      }).toArray();
+      if (!due.length) continue;
+      const archived = { archivedAt: Date.now(), archivedBy: null };
+      await db.collection('tasks').updateMany({ _id: { $in: due.map(t => t._id) }, archivedAt: null }, { $set: archived });
+      for (const task of due) await taskArchived({ workspaceId: ws._id, userId: null }, { ...task, ...archived }, { automatic: true });
+    }
+  } catch (err) {
+    console.error('Archive job failed:', err.message);
+  }
+}
+async function taskArchived(req, task, extra = {}) {
+  await recordTaskEvent(req, 'archived', task, {}, extra);
+  broadcast(req.workspaceId, 'task.updated', task);
+}
+
+app.post('/api/tasks/:id/archive', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const result = await db.collection('tasks').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), workspaceId: req.workspaceId, deletedAt: null, archivedAt: null },
+      { $set: { archivedAt: Date.now(), archivedBy: new ObjectId(req.userId) } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    await taskArchived(req, result.value);
+    res.json(result.value);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to archive task' });
+  }
+});
+
+// Put an archived task back at the bottom of its column (the first column if that was removed)
+app.post('/api/tasks/:id/unarchive', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await db.collection('tasks').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId, deletedAt: null, archivedAt: { $type: 'number' } });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const board = workspaceBoard(req.workspace);
+    const status = boardColumn(board, task.status) ? task.status : board.columns[0].id;
+    const { rank } = await rankFor(req, status);
+    const result = await db.collection('tasks').findOneAndUpdate(
+      { _id: task._id, workspaceId: req.workspaceId, archivedAt: { $type: 'number' } },
+      { $set: { status, rank, unarchivedAt: Date.now() }, $unset: { archivedAt: '', archivedBy: '' } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    const changes = status !== task.status ? { status: { from: task.status, to: status } } : {};
+    await recordTaskEvent(req, 'unarchived', result.value, changes);
+    broadcast(req.workspaceId, 'task.updated', result.value);
+    res.json(result.value);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unarchive task' });
+  }
+});
+
+// Task import and export. Every import row is first turned into a task draft with its
+// validation errors; a dry run stops there, so the mapping can be fixed before anything is written.
+const IMPORT_FIELDS = {
+  title: ['title', 'name', 'task', 'summary'],
+  status: ['status', 'state', 'list', 'column'],
+  priority: ['priority'],
+  assignee: ['assignee', 'owner', 'assigned to'],
+  deadline: ['deadline', 'due', 'due date'],
+  labels: ['labels', 'label', 'tags'],
+  points: ['points', 'story points', 'estimate'],
+  starred: ['starred', 'pinned']
+};
+const MAX_IMPORT_ROWS = 2000;
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const TRELLO_COLORS = {
+  green: '#22C55E', yellow: '#EAB308', orange: '#F97316', red: '#EF4444', purple: '#A855F7',
+  blue: '#3B82F6', sky: '#0EA5E9', lime: '#84CC16', pink: '#EC4899', black: '#334155'
+};
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+// Cells that a spreadsheet would run as a formula are prefixed with a quote
+function toCsv(rows) {
+  const cell = (value) => {
+    let str = value == null ? '' : String(value);
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return rows.map(r => r.map(cell).join(',')).join('\r\n');
+}
+function guessMapping(headers) {
+  const mapping = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, names]) => {
+    const match = headers.find(h => names.includes(h.trim().toLowerCase()));
+    if (match !== undefined) mapping[field] = match;
+  });
+  return mapping;
+}
+
+// CSV rows as plain records, using `mapping` ({ field: header }) or one guessed from the headers
+function csvRecords(text, mapping) {
+  const [headers = [], ...rows] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  const used = mapping && typeof mapping === 'object' ? mapping : guessMapping(headers);
+  const records = rows.map(row => {
+    const record = {};
+    Object.entries(used).forEach(([field, header]) => {
+      const index = headers.indexOf(header);
+      if (IMPORT_FIELDS[field] && index !== -1) record[field] = (row[index] ?? '').trim();
+    });
+    if (record.labels !== undefined) record.labels = record.labels.split(/[;|]/).map(l => l.trim()).filter(Boolean);
+    return record;
+  });
+  return { headers, mapping: used, records };
+}
+
+// Open cards of a Trello board export. Lists map to columns through `statusMap` ({ listId: columnId }),
+// defaulting to a column with the same name, or the first column.
+function trelloRecords(data, statusMap, board) {
+  if (!data || !Array.isArray(data.lists) || !Array.isArray(data.cards)) return { error: 'Not a Trello board export' };
+  const openLists = data.lists.filter(l => !l.closed);
+  const lists = openLists.map(l => {
+    const byName = board.columns.find(c => c.name.toLowerCase() === String(l.name).trim().toLowerCase());
+    const chosen = statusMap?.[l.id];
+    return { id: l.id, name: l.name, status: boardColumn(board, chosen) ? chosen : (byName || board.columns[0]).id };
+  });
+  const statusOf = new Map(lists.map(l => [l.id, l.status]));
+  const labelsById = new Map((data.labels || []).map(l => [l.id, { name: l.name || l.color || 'Label', color: TRELLO_COLORS[l.color] }]));
+  const members = new Map((data.members || []).map(m => [m.id, m.fullName || m.username]));
+  const checklists = new Map((data.checklists || []).map(c => [c.id, c]));
+  const records = data.cards
+    .filter(c => !c.closed && statusOf.has(c.idList))
+    .map(c => ({
+      title: c.name,
+      status: statusOf.get(c.idList),
+      assignee: members.get((c.idMembers || [])[0]) || '',
+      deadline: c.due || '',
+      labels: (c.idLabels || []).map(id => labelsById.get(id)?.name).filter(Boolean),
+      checklist: (c.idChecklists || []).flatMap(id => checklists.get(id)?.checkItems || [])
+        .sort((a, b) => a.pos - b.pos)
+        .map(item => ({ text: item.name, done: item.state === 'complete' }))
+    }));
+  return { lists, records, labelColors: new Map([...labelsById.values()].map(l => [l.name.toLowerCase(), l.color])) };
+}
+
+// One record -> { draft, errors }. Label names are kept as names until the import writes them.
+function draftTask(record, board, labels) {
+  const errors = [];
+  const title = String(record.title ?? '').trim();
+  if (!title) errors.push('Title is required');
+  else if (title.length > 500) errors.push('Title is longer than 500 characters');
+  let status = board.columns[0].id;
+  if (record.status) {
+    const wanted = String(record.status).trim().toLowerCase();
+    const column = board.columns.find(c => c.id === wanted || c.name.toLowerCase() === wanted);
+    if (column) status = column.id;
+    else errors.push(`Unknown status "${record.status}"`);
+  }
+  let priority = 'Medium';
+  if (record.priority) {
+    priority = PRIORITIES.find(p => p.toLowerCase() === String(record.priority).trim().toLowerCase());
+    if (!priority) errors.push(`Priority must be High, Medium or Low, not "${record.priority}"`);
+  }
+  let deadline = null;
+  if (record.deadline) {
+    const parsed = new Date(String(record.deadline).replace(' ', 'T'));
+    if (Number.isNaN(parsed.getTime())) errors.push(`Unreadable deadline "${record.deadline}"`);
+    else deadline = parsed.toISOString();
+  }
+  const estimate = record.points === undefined || record.points === '' ? { points: null } : parsePoints(record.points);
+  if (estimate.error) errors.push(estimate.error);
+  const labelNames = [...new Set((Array.isArray(record.labels) ? record.labels : []).map(l => String(l).trim().slice(0, 30)).filter(Boolean))];
+  const starred = ['true', 'yes', '1', 'y'].includes(String(record.starred ?? '').trim().toLowerCase()) || record.starred === true;
+  const checklist = (Array.isArray(record.checklist) ? record.checklist : [])
+    .map(item => ({ text: String(item.text ?? '').trim().slice(0, 500), done: Boolean(item.done) }))
+    .filter(item => item.text);
+  return {
+    draft: { title, status, priority, assignee: String(record.assignee ?? '').trim(), deadline, labels: labelNames, points: estimate.points, starred, checklist },
+    errors,
+    newLabels: labelNames.filter(name => !labels.some(l => l.name.toLowerCase() === name.toLowerCase()))
+  };
+}
+
+/**
+ * POST /api/tasks/import
+ * Body: { format: 'csv' | 'trello' | 'json', content, mapping?, statusMap?, dryRun?, skipInvalid? }
+ * csv content is the file's text and mapping is { field: header }; trello content is the board
+ * export; json content is a list of tasks as written by the JSON export. Rows with errors stop a
+ * real import unless skipInvalid is set. WIP limits are not applied to imports.
+ */
+app.post('/api/tasks/import', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const { format, content, mapping, statusMap, dryRun = true, skipInvalid = false } = req.body || {};
+    const board = workspaceBoard(req.workspace);
+    const labels = req.workspace.labels || [];
+    let parsed;
+    if (format === 'csv') parsed = csvRecords(content, mapping);
+    else if (format === 'trello') parsed = trelloRecords(content, statusMap, board);
+    else if (format === 'json') parsed = Array.isArray(content) ? { records: content } : { error: 'JSON imports must be a list of tasks' };
+    else return res.status(400).json({ error: 'format must be csv, trello or json' });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.records.length > MAX_IMPORT_ROWS) return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} tasks` });
+
+    const rows = parsed.records.map((record, i) => ({ row: i + 1, ...draftTask(record, board, labels) }));
+    const errors = rows.filter(r => r.errors.length).map(r => ({ row: r.row, title: r.draft.title, errors: r.errors }));
+    const valid = rows.filter(r => !r.errors.length);
+    const newLabels = [...new Map(valid.flatMap(r => r.newLabels).map(n => [n.toLowerCase(), n])).values()];
+    const report = {
+      format,
+      total: rows.length,
+      valid: valid.length,
+      errors,
+      newLabels,
+      preview: valid.slice(0, 20).map(r => r.draft),
+      ...(format === 'csv' ? { columns: parsed.headers, mapping: parsed.mapping } : {}),
+      ...(format === 'trello' ? { lists: parsed.lists } : {})
+    };
+    if (labels.length + newLabels.length > MAX_LABELS) {
+      errors.unshift({ row: null, title: '', errors: [`The import would need ${newLabels.length} new labels; a workspace can have at most ${MAX_LABELS}`] });
+    }
+    if (dryRun) return res.json({ dryRun: true, ...report });
+    if (errors.length && (!skipInvalid || errors.some(e => e.row === null))) {
+      return res.status(400).json({ error: 'Fix the rows with errors or skip them', dryRun: false, ...report });
+    }
+
+    // Labels first, so tasks can refer to them by id
+    const created = newLabels.map(name => ({ id: new ObjectId(), name, color: parsed.labelColors?.get(name.toLowerCase()) || '#94A3B8' }));
+    if (created.length) {
+      await db.collection('workspaces').updateOne({ _id: req.workspaceId }, { $push: { labels: { $each: created } } });
+      broadcast(req.workspaceId, 'labels.updated', [...labels, ...created]);
+    }
+    const labelId = new Map([...labels, ...created].map(l => [l.name.toLowerCase(), l.id]));
+    // Imported tasks go to the bottom of their columns in file order
+    const nextRank = {};
+    for (const { draft } of valid) {
+      if (nextRank[draft.status] === undefined) nextRank[draft.status] = (await rankFor(req, draft.status)).rank;
+    }
+    const now = new Date();
+    const docs = valid.map(({ draft }) => {
+      const rank = nextRank[draft.status];
+      nextRank[draft.status] += RANK_STEP;
+      return {
+        ...draft,
+        labels: draft.labels.map(name => labelId.get(name.toLowerCase())),
+        checklist: draft.checklist.map(item => ({ id: new ObjectId(), ...item, createdAt: Date.now() })),
+        createdAt: Date.now(),
+        assignedAt: now.toISOString(),
+        assignedAtIST: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true }),
+        ...(isDoneStatus(board, draft.status) ? { completedAt: now.toISOString() } : {}),
+        userId: new ObjectId(req.userId),
+        workspaceId: req.workspaceId,
+        recurrence: null,
+        sprintId: null,
+        rank
+      };
+    });
+    if (docs.length) {
+      const result = await db.collection('tasks').insertMany(docs);
+      for (const [i, doc] of docs.entries()) {
+        const task = { _id: result.insertedIds[i], ...doc };
+        await recordTaskEvent(req, 'created', task, taskDiff({}, task), { imported: format });
+        broadcast(req.workspaceId, 'task.created', task);
+      }
+    }
+    res.status(201).json({ dryRun: false, imported: docs.length, ...report });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to import tasks' });
+  }
+});
+
+/**
+ * GET /api/tasks/export?format=csv|json
+ * The workspace's tasks, narrowed by the GET /api/tasks filters; mine=1 keeps only tasks the
+ * current user created or is assigned. Labels, statuses and sprints are written by name.
+ */
+app.get('/api/tasks/export', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const board = workspaceBoard(req.workspace);
+    let filter;
+    try {
+      filter = taskListFilter(req.workspaceId, req.query);
+    } catch (_) {
+      return res.status(400).json({ error: 'Invalid filter' });
+    }
+    if (req.query.mine === '1' || req.query.mine === 'true') {
+      const user = await db.collection('users').findOne({ _id: new ObjectId(req.userId) }, { projection: { name: 1 } });
+      filter.$or = [{ userId: new ObjectId(req.userId) }, ...(user?.name ? [{ assignee: user.name }] : [])];
+    }
+    const tasks = await db.collection('tasks').find(filter).sort({ status: 1, rank: 1 }).toArray();
+    const sprints = await db.collection('sprints').find({ workspaceId: req.workspaceId }, { projection: { name: 1 } }).toArray();
+    const labelName = new Map((req.workspace.labels || []).map(l => [String(l.id), l.name]));
+    const sprintName = new Map(sprints.map(sp => [String(sp._id), sp.name]));
+    const rows = tasks.map(t => ({
+      title: t.title,
+      status: boardColumn(board, t.status)?.name || t.status,
+      priority: t.priority,
+      assignee: t.assignee || '',
+      deadline: t.deadline || '',
+      labels: (t.labels || []).map(id => labelName.get(String(id))).filter(Boolean),
+      points: t.points ?? '',
+      sprint: t.sprintId ? sprintName.get(String(t.sprintId)) || '' : '',
+      starred: Boolean(t.starred),
+      createdAt: t.createdAt ? new Date(t.createdAt).toISOString() : '',
+      completedAt: t.completedAt || '',
+      checklist: (t.checklist || []).map(item => ({ text: item.text, done: Boolean(item.done) }))
+    }));
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = slugify(req.workspace.name || 'tasks') || 'tasks';
+    res.set('Content-Disposition', `attachment; filename="taskmaster-${name}-${stamp}.${format}"`);
+    if (format === 'json') return res.json(rows);
+    const columns = ['title', 'status', 'priority', 'assignee', 'deadline', 'labels', 'points', 'sprint', 'starred', 'createdAt', 'completedAt'];
+    res.type('text/csv').send(toCsv([columns, ...rows.map(r => columns.map(c => (c === 'labels' ? r.labels.join('; ') : r[c])))]));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export tasks' });
+  }
+});
+
+async function findWorkspaceTask(req, id) {
+  return db.collection('tasks').findOne({ _id: new ObjectId(id), workspaceId: req.workspaceId, deletedAt: null });
+}
+
+// Validate a blocked-by list: existing tasks in the workspace, not the task itself, no cycles
+async function validateBlockers(req, taskId, blockedBy) {
+  if (!Array.isArray(blockedBy) || !blockedBy.every(b => ObjectId.isValid(String(b)))) return { error: 'blockedBy must be a list of task ids' };
+  const self = new ObjectId(taskId);
+  const ids = [...new Set(blockedBy.map(String))].map(b => new ObjectId(b));
+  if (ids.some(b => b.equals(self))) return { error: 'A task cannot block itself' };
+  if (!ids.length) return { ids };
+  const found = await db.collection('tasks').countDocuments({ _id: { $in: ids }, workspaceId: req.workspaceId, deletedAt: null });
+  if (found !== ids.length) return { error: 'Blocking task not found' };
+  // Walk everything the new blockers are (transitively) blocked by; reaching this task means a cycle
+  const [walk] = await db.collection('tasks').aggregate([
+    { $match: { _id: { $in: ids } } },
+    { $group: { _id: null, start: { $push: '$_id' } } },
+    { $graphLookup: { from: 'tasks', startWith: '$start', connectFromField: 'blockedBy', connectToField: '_id', as: 'chain', restrictSearchWithMatch: { workspaceId: req.workspaceId } } }
+  ]).toArray();
+  if ((walk?.chain || []).some(t => (t.blockedBy || []).some(b => b.equals(self)))) {
+    return { error: 'Dependency would create a cycle' };
+  }
+  return { ids };
+}
+async function openBlockers(req, blockedBy) {
+  if (!blockedBy?.length) return [];
+  return db.collection('tasks')
+    .find({ _id: { $in: blockedBy.map(b => new ObjectId(b)) }, workspaceId: req.workspaceId, deletedAt: null, status: { $nin: doneStatuses(workspaceBoard(req.workspace)) } }, { projection: { title: 1, status: 1 } })
+    .toArray();
+}
+
+// Apply an update to a task in the active workspace and push the result to live subscribers
+async function updateWorkspaceTask(req, filter, update) {
+  const result = await db.collection('tasks').findOneAndUpdate(
+    { ...filter, workspaceId: req.workspaceId, deletedAt: null },
+    update,
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  if (result.value) broadcast(req.workspaceId, 'task.updated', result.value);
+  return result.value;
+}
+
+app.post('/api/tasks/:id/checklist', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const text = String(req.body?.text || '').trim();
+    if (!text) return res.status(400).json({ error: 'Text is required' });
+    const item = { id: new ObjectId(), text, done: false, createdAt: Date.now() };
+    const task = await updateWorkspaceTask(req, { _id: new ObjectId(req.params.id) }, { $push: { checklist: item } });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    res.status(201).json(task);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+app.patch('/api/tasks/:id/checklist/:itemId', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const set = {};
+    if (req.body?.done !== undefined) set['checklist.$.done'] = Boolean(req.body.done);
+    if (req.body?.text !== undefined) {
+      const text = String(req.body.text).trim();
+      if (!text) return res.status(400).json({ error: 'Text is required' });
+      set['checklist.$.text'] = text;
+    }
+    if (!Object.keys(set).length) return res.status(400).json({ error: 'Nothing to update' });
+    const task = await updateWorkspaceTask(req, { _id: new ObjectId(req.params.id), 'checklist.id': new ObjectId(req.params.itemId) }, { $set: set });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    res.json(task);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+app.delete('/api/tasks/:id/checklist/:itemId', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await updateWorkspaceTask(req, { _id: new ObjectId(req.params.id) }, { $pull: { checklist: { id: new ObjectId(req.params.itemId) } } });
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    res.json(task);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+});
+
+// Body: { order: [itemId, ...] } listing every checklist item in its new order
+app.post('/api/tasks/:id/checklist/reorder', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const order = Array.isArray(req.body?.order) ? req.body.order.map(String) : null;
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const items = task.checklist || [];
+    const byId = new Map(items.map(i => [String(i.id), i]));
+    if (!order || order.length !== items.length || !order.every(id => byId.has(id))) {
+      return res.status(400).json({ error: 'Order must list every checklist item once' });
+    }
+    const updated = await updateWorkspaceTask(req, { _id: task._id }, { $set: { checklist: order.map(id => byId.get(id)) } });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder checklist' });
+  }
+});
+
+app.get('/api/tasks/:id/subtasks', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const subtasks = await db.collection('tasks').find({ parentId: new ObjectId(req.params.id), workspaceId: req.workspaceId, deletedAt: null }).sort({ childPosition: 1, _id: 1 }).toArray();
+    res.json(subtasks);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch subtasks' });
+  }
+});
+
+// Body: { order: [taskId, ...] } listing every subtask in its new order
+app.post('/api/tasks/:id/subtasks/reorder', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const order = Array.isArray(req.body?.order) ? req.body.order.map(String) : null;
+    const parentId = new ObjectId(req.params.id);
+    const children = await db.collection('tasks').find({ parentId, workspaceId: req.workspaceId, deletedAt: null }, { projection: { _id: 1 } }).toArray();
+    const ids = new Set(children.map(c => String(c._id)));
+    if (!order || order.length !== ids.size || !order.every(id => ids.has(id))) {
+      return res.status(400).json({ error: 'Order must list every subtask once' });
+    }
+    if (order.length) {
+      await db.collection('tasks').bulkWrite(order.map((id, i) => ({ updateOne: { filter: { _id: new ObjectId(id) }, update: { $set: { childPosition: i } } } })));
+    }
+    const subtasks = await db.collection('tasks').find({ parentId, workspaceId: req.workspaceId, deletedAt: null }).sort({ childPosition: 1, _id: 1 }).toArray();
+    subtasks.forEach(t => broadcast(req.workspaceId, 'task.updated', t));
+    res.json(subtasks);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder subtasks' });
+  }
+});
+
+// Resolve "@name" mentions against workspace members by full name, first name or email handle
+async function parseMentions(workspace, body) {
+  const ids = workspace.members.map(m => m.userId);
+  const users = await db.collection('users').find({ _id: { $in: ids } }, { projection: { name: 1, email: 1 } }).toArray();
+  const text = String(body);
+  return users.filter(u => {
+    const handles = [u.name, String(u.name || '').split(' ')[0], String(u.email || '').split('@')[0]].filter(Boolean);
+    return handles.some(h => new RegExp(`(^|\\s)@${escapeRegex(h)}(?![\\w])`, 'i').test(text));
+  }).map(u => u._id);
+}
+
+async function notify(docs) {
+  if (docs.length) await db.collection('notifications').insertMany(docs);
+}
+// Match a free-text assignee against workspace members by full name, first name or email handle
+async function resolveMember(workspace, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  const ids = workspace.members.map(m => m.userId);
+  const users = await db.collection('users').find({ _id: { $in: ids } }, { projection: { name: 1, email: 1 } }).toArray();
+  return users.find(u => String(u.name || '').toLowerCase() === wanted)
+    || users.find(u => String(u.email || '').split('@')[0].toLowerCase() === wanted)
+    || users.find(u => String(u.name || '').split(' ')[0].toLowerCase() === wanted)
+    || null;
+}
+async function notifyAssignee(req, task) {
+  const user = await resolveMember(req.workspace, task.assignee);
+  if (!user || String(user._id) === String(req.userId)) return;
+  await notify([{
+    userId: user._id,
+    workspaceId: req.workspaceId,
+    type: 'assigned',
+    actorId: new ObjectId(req.userId),
+    action: 'assigned you to',
+    message: task.title,
+    taskId: task._id,
+    taskTitle: task.title,
+    createdAt: Date.now(),
+    readAt: null
+  }]);
+}
+
+const NOTIFICATION_FILTERS = {
+  all: {},
+  unread: { readAt: null },
+  mentions: { type: 'mention' },
+  assigned: { type: 'assigned' }
+};
+
+app.get('/api/notifications', authRequired, async (req, res) => {
+  try {
+    const base = NOTIFICATION_FILTERS[req.query.filter || 'all'];
+    if (!base) return res.status(400).json({ error: 'Invalid filter' });
+    const { limit, before } = eventPageParams(req.query);
+    const filter = { userId: new ObjectId(req.userId), ...base };
+    if (before) filter._id = { $lt: before };
+    const items = await db.collection('notifications').find(filter).sort({ _id: -1 }).limit(limit).toArray();
+    const actorIds = [...new Set(items.map(n => String(n.actorId)))].map(id => new ObjectId(id));
+    const users = await db.collection('users').find({ _id: { $in: actorIds } }, { projection: { name: 1 } }).toArray();
+    const names = new Map(users.map(u => [String(u._id), u.name]));
+    res.json(items.map(n => ({ ...n, actor: { id: n.actorId, name: names.get(String(n.actorId)) || 'Someone' } })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notifications/unread-count', authRequired, async (req, res) => {
+  try {
+    const unread = await db.collection('notifications').countDocuments({ userId: new ObjectId(req.userId), readAt: null });
+    res.json({ unread });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+app.post('/api/notifications/mark-all-read', authRequired, async (req, res) => {
+  try {
+    const result = await db.collection('notifications').updateMany({ userId: new ObjectId(req.userId), readAt: null }, { $set: { readAt: Date.now() } });
+    res.json({ updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.patch('/api/notifications/:id', authRequired, async (req, res) => {
+  try {
+    const read = req.body?.read !== false;
+    const result = await db.collection('notifications').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), userId: new ObjectId(req.userId) },
+      { $set: { readAt: read ? Date.now() : null } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'Not found' });
+    res.json(result.value);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+app.delete('/api/notifications/:id', authRequired, async (req, res) => {
+  try {
+    const result = await db.collection('notifications').deleteOne({ _id: new ObjectId(req.params.id), userId: new ObjectId(req.userId) });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+function commentNotifications(req, task, comment, recipients, type) {
+  const now = Date.now();
+  return recipients
+    .filter(uid => String(uid) !== String(req.userId))
+    .map(uid => ({
+      userId: new ObjectId(uid),
+      workspaceId: req.workspaceId,
+      type,
+      actorId: new ObjectId(req.userId),
+      action: type === 'mention' ? 'mentioned you in' : 'commented on',
+      message: comment.body,
+      taskId: task._id,
+      taskTitle: task.title,
+      commentId: comment._id,
+      createdAt: now,
+      readAt: null
+    }));
+}
+
+app.get('/api/tasks/:id/comments', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const comments = await db.collection('task_comments').find({ taskId: task._id }).sort({ _id: 1 }).toArray();
+    const authorIds = [...new Set(comments.map(c => String(c.userId)))].map(x => new ObjectId(x));
+    const users = await db.collection('users').find({ _id: { $in: authorIds } }, { projection: { name: 1 } }).toArray();
+    const names = new Map(users.map(u => [String(u._id), u.name]));
+    res.json(comments.map(c => ({ ...c, author: { id: c.userId, name: names.get(String(c.userId)) || 'Unknown' } })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+app.post('/api/tasks/:id/comments', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const body = String(req.body?.body || '').trim();
+    if (!body) return res.status(400).json({ error: 'Comment is required' });
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const mentions = await parseMentions(req.workspace, body);
+    const now = Date.now();
+    const doc = { taskId: task._id, workspaceId: req.workspaceId, userId: new ObjectId(req.userId), body, mentions, createdAt: now, updatedAt: now };
+    const result = await db.collection('task_comments').insertOne(doc);
+    const comment = { _id: result.insertedId, ...doc };
+    // Mentioned users get a mention; the task creator otherwise gets a comment notice
+    const mentioned = new Set(mentions.map(String));
+    const creator = task.userId && !mentioned.has(String(task.userId)) ? [task.userId] : [];
+    await notify([
+      ...commentNotifications(req, task, comment, mentions, 'mention'),
+      ...commentNotifications(req, task, comment, creator, 'comment')
+    ]);
+    res.status(201).json(comment);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+app.patch('/api/tasks/:id/comments/:commentId', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const body = String(req.body?.body || '').trim();
+    if (!body) return res.status(400).json({ error: 'Comment is required' });
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const existing = await db.collection('task_comments').findOne({ _id: new ObjectId(req.params.commentId), taskId: task._id });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (String(existing.userId) !== String(req.userId)) return res.status(403).json({ error: 'Forbidden' });
+    const mentions = await parseMentions(req.workspace, body);
+    const update = { body, mentions, updatedAt: Date.now() };
+    await db.collection('task_comments').updateOne({ _id: existing._id }, { $set: update });
+    const comment = { ...existing, ...update };
+    // Only users newly mentioned by the edit are notified
+    const before = new Set((existing.mentions || []).map(String));
+    await notify(commentNotifications(req, task, comment, mentions.filter(m => !before.has(String(m))), 'mention'));
+    res.json(comment);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+app.delete('/api/tasks/:id/comments/:commentId', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const existing = await db.collection('task_comments').findOne({ _id: new ObjectId(req.params.commentId), taskId: task._id });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (String(existing.userId) !== String(req.userId) && !roleAtLeast(req.role, 'admin')) return res.status(403).json({ error: 'Forbidden' });
+    await db.collection('task_comments').deleteOne({ _id: existing._id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// Task attachments: metadata is kept on the task ({ id, name, type, size, userId, createdAt })
+// and the file is stored in UPLOAD_DIR under the attachment id.
+const ATTACHMENT_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain', 'text/csv', 'application/zip',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+const MAX_ATTACHMENTS = 20;
+
+const uploadAttachment = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      req.attachmentId = new ObjectId();
+      cb(null, String(req.attachmentId));
+    }
+  }),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_TYPES.includes(file.mimetype)) req.rejectedType = file.mimetype;
+    cb(null, !req.rejectedType);
+  }
+}).single('file');
+
+async function removeAttachmentFiles(attachments = []) {
+  await Promise.all(attachments.map(a => fs.unlink(path.join(UPLOAD_DIR, String(a.id))).catch(() => {})));
+}
+
+// Multipart body with a single "file" field
+app.post('/api/tasks/:id/attachments', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    if ((task.attachments || []).length >= MAX_ATTACHMENTS) {
+      return res.status(400).json({ error: `A task can have at most ${MAX_ATTACHMENTS} attachments` });
+    }
+    uploadAttachment(req, res, async (err) => {
+      try {
+        if (err) {
+          const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+          return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Files can be at most ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB` : 'Upload failed' });
+        }
+        if (!req.file) return res.status(400).json({ error: req.rejectedType ? `Files of type ${req.rejectedType} are not allowed` : 'No file uploaded' });
+        const attachment = {
+          id: req.attachmentId,
+          name: req.file.originalname.slice(0, 200),
+          type: req.file.mimetype,
+          size: req.file.size,
+          userId: new ObjectId(req.userId),
+          createdAt: Date.now()
+        };
+        const updated = await updateWorkspaceTask(req, { _id: task._id }, { $push: { attachments: attachment } });
+        if (!updated) {
+          await removeAttachmentFiles([attachment]);
+          return res.status(404).json({ error: 'Not found' });
+        }
+        res.status(201).json(updated);
+      } catch (e) {
+        res.status(500).json({ error: 'Failed to save attachment' });
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save attachment' });
+  }
+});
+
+// Images are shown inline (for thumbnails); everything else downloads. Accepts ?token= so <img> and links work.
+app.get('/api/tasks/:id/attachments/:attachmentId', tokenFromQueryOrCookie, authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    const attachment = (task?.attachments || []).find(a => String(a.id) === req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Not found' });
+    const disposition = attachment.type.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.type,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(path.join(UPLOAD_DIR, String(attachment.id)), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'File is missing' });
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Uploaders can remove their own attachments; admins can remove any
+app.delete('/api/tasks/:id/attachments/:attachmentId', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    const attachment = (task?.attachments || []).find(a => String(a.id) === req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Not found' });
+    if (String(attachment.userId) !== String(req.userId) && !roleAtLeast(req.role, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const updated = await updateWorkspaceTask(req, { _id: task._id }, { $pull: { attachments: { id: attachment.id } } });
+    await removeAttachmentFiles([attachment]);
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// Time tracking: entries are { taskId, userId, startedAt, endedAt, duration, note, source }.
+// A running timer has running: true and no endedAt; its duration is filled in when it stops.
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+function timeEntryView(entry, now = Date.now()) {
+  return entry.running ? { ...entry, duration: now - entry.startedAt } : entry;
+}
+
+// Stops the user's running timer wherever it is and tells that workspace
+async function stopRunningTimer(userId) {
+  const now = Date.now();
+  const result = await db.collection('time_entries').findOneAndUpdate(
+    { userId: new ObjectId(userId), running: true },
+    [{ $set: { running: false, endedAt: now, duration: { $subtract: [now, '$startedAt'] } } }],
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  if (result.value) broadcast(result.value.workspaceId, 'time.updated', { userId: String(userId), taskId: result.value.taskId, running: null });
+  return result.value;
+}
+
+function parseMinutes(value) {
+  const minutes = Math.round(Number(value));
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_ENTRY_MINUTES) return null;
+  return minutes;
+}
+
+app.get('/api/tasks/:id/time', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const now = Date.now();
+    const entries = (await withActors(await db.collection('time_entries').find({ taskId: task._id }).sort({ startedAt: -1 }).toArray()))
+      .map(e => timeEntryView(e, now));
+    res.json({ entries, total: entries.reduce((sum, e) => sum + e.duration, 0) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Starting a timer stops the one already running, even on another task or workspace
+app.post('/api/tasks/:id/time/start', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const stopped = await stopRunningTimer(req.userId);
+    const entry = {
+      taskId: task._id,
+      workspaceId: req.workspaceId,
+      userId: new ObjectId(req.userId),
+      startedAt: Date.now(),
+      running: true,
+      source: 'timer',
+      note: ''
+    };
+    const result = await db.collection('time_entries').insertOne(entry);
+    const running = { _id: result.insertedId, ...entry, taskTitle: task.title };
+    broadcast(req.workspaceId, 'time.updated', { userId: String(req.userId), taskId: task._id, running });
+    res.status(201).json({ running, stopped });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A timer is already running' });
+    res.status(500).json({ error: 'Failed to start timer' });
+  }
+});
+
+// Manual entry: { minutes, startedAt?, note? }; startedAt defaults to `minutes` ago
+app.post('/api/tasks/:id/time', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const minutes = parseMinutes(req.body?.minutes);
+    if (!minutes) return res.status(400).json({ error: `Minutes must be between 1 and ${MAX_ENTRY_MINUTES}` });
+    const duration = minutes * 60000;
+    const startedAt = req.body.startedAt ? Date.parse(req.body.startedAt) : Date.now() - duration;
+    if (Number.isNaN(startedAt)) return res.status(400).json({ error: 'Invalid start time' });
+    const task = await findWorkspaceTask(req, req.params.id);
+    if (!task) return res.status(404).json({ error: 'Not found' });
+    const entry = {
+      taskId: task._id,
+      workspaceId: req.workspaceId,
+      userId: new ObjectId(req.userId),
+      startedAt,
+      endedAt: startedAt + duration,
+      duration,
+      running: false,
+      source: 'manual',
+      note: String(req.body.note || '').trim().slice(0, 500)
+    };
+    const result = await db.collection('time_entries').insertOne(entry);
+    broadcast(req.workspaceId, 'time.updated', { userId: String(req.userId), taskId: task._id });
+    res.status(201).json({ _id: result.insertedId, ...entry });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to log time' });
+  }
+});
+
+// The caller's running timer, if any, with its task title for the header indicator
+app.get('/api/time/running', authRequired, async (req, res) => {
+  try {
+    const entry = await db.collection('time_entries').findOne({ userId: new ObjectId(req.userId), running: true });
+    if (!entry) return res.json(null);
+    const task = await db.collection('tasks').findOne({ _id: entry.taskId }, { projection: { title: 1 } });
+    res.json({ ...timeEntryView(entry), taskTitle: task?.title || '' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch timer' });
+  }
+});
+
+app.post('/api/time/stop', authRequired, async (req, res) => {
+  try {
+    const stopped = await stopRunningTimer(req.userId);
+    if (!stopped) return res.status(404).json({ error: 'No timer is running' });
+    res.json(stopped);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+// Workspace entries for reporting (?from, ?to on startedAt), with who logged them and the task's assignee
+app.get('/api/time', authRequired, workspaceRequired, async (req, res) => {
+  try {
+    const filter = { workspaceId: req.workspaceId };
+    const from = req.query.from ? Date.parse(req.query.from) : NaN;
+    const to = req.query.to ? Date.parse(req.query.to) : NaN;
+    if (!Number.isNaN(from) || !Number.isNaN(to)) {
+      filter.startedAt = {};
+      if (!Number.isNaN(from)) filter.startedAt.$gte = from;
+      if (!Number.isNaN(to)) filter.startedAt.$lte = to;
+    }
+    const entries = await db.collection('time_entries').find(filter).sort({ startedAt: -1 }).toArray();
+    const taskIds = [...new Set(entries.map(e => String(e.taskId)))].map(id => new ObjectId(id));
+    const tasks = await db.collection('tasks').find({ _id: { $in: taskIds } }, { projection: { title: 1, assignee: 1 } }).toArray();
+    const byId = new Map(tasks.map(t => [String(t._id), t]));
+    const now = Date.now();
+    res.json((await withActors(entries)).map(e => ({
+      ...timeEntryView(e, now),
+      taskTitle: byId.get(String(e.taskId))?.title || '',
+      assignee: byId.get(String(e.taskId))?.assignee || ''
+    })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Edit own finished entry: { minutes?, note? }
+app.patch('/api/time/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const entry = await db.collection('time_entries').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId });
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+    if (String(entry.userId) !== String(req.userId)) return res.status(403).json({ error: 'Forbidden' });
+    if (entry.running) return res.status(400).json({ error: 'Stop the timer before editing it' });
+    const update = {};
+    if (req.body?.minutes !== undefined) {
+      const minutes = parseMinutes(req.body.minutes);
+      if (!minutes) return res.status(400).json({ error: `Minutes must be between 1 and ${MAX_ENTRY_MINUTES}` });
+      update.duration = minutes * 60000;
+      update.endedAt = entry.startedAt + update.duration;
+    }
+    if (req.body?.note !== undefined) update.note = String(req.body.note).trim().slice(0, 500);
+    await db.collection('time_entries').updateOne({ _id: entry._id }, { $set: update });
+    broadcast(req.workspaceId, 'time.updated', { userId: String(req.userId), taskId: entry.taskId });
+    res.json({ ...entry, ...update });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update time entry' });
+  }
+});
+
+// Own entries; admins can remove anyone's
+app.delete('/api/time/:id', authRequired, workspaceRequired, requireRole('member'), async (req, res) => {
+  try {
+    const entry = await db.collection('time_entries').findOne({ _id: new ObjectId(req.params.id), workspaceId: req.workspaceId });
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+    if (String(entry.userId) !== String(req.userId) && !roleAtLeast(req.role, 'admin')) return res.status(403).json({ error: 'Forbidden' });
+    await db.collection('time_entries').deleteOne({ _id: entry._id });
+    broadcast(req.workspaceId, 'time.updated', { userId: String(entry.userId), taskId: entry.taskId, ...(entry.running ? { running: null } : {}) });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete time entry' });
   }
 });
 
 connectMongo()
   .then(() => {
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+    archiveDoneTasks();
+    setInterval(archiveDoneTasks, ARCHIVE_INTERVAL).unref();
     app.listen(PORT, () => {
       console.log(`Server running at http://localhost:${PORT}/`);
     });
@@ -250,7 +3018,7 @@ app.get('/', async (req, res) => {
   sendFile(res, 'index.html');
 });
 
-['/index.html','/tasks.html','/inbox.html','/analytics.html'].forEach(route => {
+['/index.html','/tasks.html','/inbox.html','/analytics.html','/calendar.html','/archive.html'].forEach(route => {
   app.get(route, async (req, res) => {
     const s = await sessionFromRequest(req);
     if (!s) return res.redirect('/login.html');